@@ -0,0 +1,450 @@
+#!/usr/bin/env node
+// Copyright (c) James Kilts
+// Licensed under AGPL-3.0
+
+// Command-line interface for rendering sequence diagram scripts without a browser.
+//
+//   node local-sequence-diagrams-cli.js [options] [files or globs...]
+//
+// Each input "name.sd" is written next to it as "name.svg" (or .png, .txt, .puml, .mmd), or into the
+// --output directory.  With no inputs (or "-") the script is read from stdin and the result
+// is written to stdout.  Parser diagnostics are printed to stderr, and the exit code is 1
+// when any of them is an error so the tool can be used in scripts and pre-commit hooks.
+//
+// PlantUML (.puml), Mermaid (.mmd) and websequencediagrams.com (.wsd) files are imported
+// first, and "-f sd" writes the imported script itself to migrate them.
+//
+// With --update the inputs are any text files (source code, Markdown, ...) with embedded
+// scripts, and the ASCII art above each embedded script is regenerated in place.
+
+const fs = require("fs");
+const path = require("path");
+const LocalSequenceDiagrams = require("./local-sequence-diagrams.js");
+const { SvgRasterizer } = require("./local-sequence-diagrams-png.js");
+
+const USAGE = `Usage: local-sequence-diagrams-cli.js [options] [files or globs...]
+
+Renders sequence diagram scripts to SVG, PNG or ASCII art, or exports them to PlantUML
+or Mermaid.  Reads stdin when no files are given (or "-"), and writes "name.sd" to
+"name.svg" / "name.png" / "name.txt" / "name.puml" / "name.mmd".
+
+Options:
+  -f, --format <format>         svg, png, ascii, plantuml, mermaid or sd (the script itself)
+                                (default: svg, or from the --output extension)
+      --from <language>         input language: sd, plantuml, mermaid or wsd
+                                (default: from the file extension, sd for stdin)
+  -o, --output <path>           output file, or an existing directory for several inputs
+  -w, --watch                   re-render the files whenever they change, and render new
+                                files that match the globs
+  -u, --update                  regenerate the ASCII art of scripts embedded in the files
+                                (<sequence> / <diagram> comments, \`\`\`sequence blocks)
+      --scale <number>          PNG scale factor (default: 1)
+      --theme <name or file>    light, dark, high-contrast, print, or a JSON file with a theme
+                                (default: light)
+      --background <color>      background color (default: from the theme)
+      --foreground <color>      foreground color (default: from the theme)
+  -h, --help                    show this help
+
+Exit codes: 0 on success, 1 when a script has errors, 2 on invalid usage.`;
+
+const EXTENSIONS = { svg: ".svg", png: ".png", ascii: ".txt", plantuml: ".puml", mermaid: ".mmd", sd: ".sd" };
+
+const LANGUAGES = { ".puml": "plantuml", ".plantuml": "plantuml", ".pu": "plantuml", ".mmd": "mermaid", ".mermaid": "mermaid", ".wsd": "wsd" };
+
+class UsageError extends Error {}
+
+function parseArguments(argv) {
+    const options = { format: null, from: null, output: null, watch: false, update: false, scale: 1, theme: "light", background: null, foreground: null, inputs: [] };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const value = () => {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`Missing value for ${arg}`);
+            }
+            return argv[++i];
+        };
+
+        switch (arg) {
+            case "-f":
+            case "--format":
+                options.format = value().toLowerCase();
+                break;
+            case "--from":
+                options.from = value().toLowerCase();
+                break;
+            case "-o":
+            case "--output":
+                options.output = value();
+                break;
+            case "-w":
+            case "--watch":
+                options.watch = true;
+                break;
+            case "-u":
+            case "--update":
+                options.update = true;
+                break;
+            case "--scale":
+                options.scale = parseFloat(value());
+                break;
+            case "--theme":
+                options.theme = value();
+                break;
+            case "--background":
+                options.background = value();
+                break;
+            case "--foreground":
+                options.foreground = value();
+                break;
+            case "-h":
+            case "--help":
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith("-") && arg !== "-") {
+                    throw new UsageError(`Unknown option ${arg}`);
+                }
+                options.inputs.push(arg);
+        }
+    }
+
+    if (!options.format && options.output) {
+        const extension = path.extname(options.output).toLowerCase();
+        options.format = Object.keys(EXTENSIONS).find(format => EXTENSIONS[format] === extension) || null;
+    }
+    options.format = options.format || "svg";
+
+    if (!EXTENSIONS[options.format]) {
+        throw new UsageError(`Unknown format "${options.format}", expected ${Object.keys(EXTENSIONS).join(", ")}`);
+    }
+    if (options.from && !["sd", ...Object.values(LANGUAGES)].includes(options.from)) {
+        throw new UsageError(`Unknown input language "${options.from}", expected sd, plantuml, mermaid or wsd`);
+    }
+    if (!(options.scale > 0)) {
+        throw new UsageError("--scale must be a positive number");
+    }
+    if (path.extname(options.theme).toLowerCase() == ".json") {
+        try {
+            options.theme = JSON.parse(fs.readFileSync(options.theme, "utf8"));
+        }
+        catch (error) {
+            throw new UsageError(`Cannot read the theme ${options.theme}: ${error.message}`);
+        }
+    }
+    const preset = (typeof options.theme === "string") ? options.theme : (options.theme.preset || "light");
+    if (!LocalSequenceDiagrams.THEMES[preset]) {
+        throw new UsageError(`Unknown theme "${preset}", expected ${Object.keys(LocalSequenceDiagrams.THEMES).join(", ")} or a .json file`);
+    }
+    if (options.update && (options.output || options.inputs.length == 0 || options.inputs.includes("-"))) {
+        throw new UsageError("--update rewrites files in place and cannot be used with stdin or --output");
+    }
+    if (options.watch && (options.inputs.length == 0 || options.inputs.includes("-"))) {
+        throw new UsageError("--watch needs files to watch");
+    }
+    return options;
+}
+
+// GLOBS
+
+function globToRegExp(pattern) {
+    let source = "";
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c == "*" && pattern[i + 1] == "*") {
+            // "**/" matches zero or more directories
+            source += (pattern[i + 2] == "/") ? "(?:.*/)?" : ".*";
+            i += (pattern[i + 2] == "/") ? 2 : 1;
+        } else if (c == "*") {
+            source += "[^/]*";
+        } else if (c == "?") {
+            source += "[^/]";
+        } else {
+            source += c.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+        }
+    }
+    return new RegExp(`^${source}$`);
+}
+
+function listDirectories(directory) {
+    let directories = [directory];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (entry.isDirectory() && !entry.name.startsWith(".") && entry.name != "node_modules") {
+            directories = directories.concat(listDirectories(path.join(directory, entry.name)));
+        }
+    }
+    return directories;
+}
+
+function listFiles(directory) {
+    let files = [];
+    for (const entry of fs.readdirSync(directory, { withFileTypes: true })) {
+        if (entry.name.startsWith(".") || entry.name == "node_modules") {
+            continue;
+        }
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) {
+            files = files.concat(listFiles(fullPath));
+        } else if (entry.isFile()) {
+            files.push(fullPath);
+        }
+    }
+    return files;
+}
+
+function isGlob(input) {
+    return /[*?]/.test(input);
+}
+
+// The directory before the first wildcard, where the files matching a glob are searched
+function globBase(input) {
+    const pattern = input.split(path.sep).join("/");
+    return pattern.slice(0, pattern.search(/[*?]/)).replace(/[^/]*$/, "") || ".";
+}
+
+function expandInputs(inputs) {
+    const files = [];
+    for (const input of inputs) {
+        if (input == "-" || !isGlob(input)) {
+            files.push(input);
+            continue;
+        }
+
+        const pattern = input.split(path.sep).join("/");
+        const base = globBase(input);
+        const regExp = globToRegExp(pattern.startsWith("./") ? pattern.slice(2) : pattern);
+        const matches = fs.existsSync(base) ? listFiles(base)
+            .map(file => file.split(path.sep).join("/"))
+            .filter(file => regExp.test(file)) : [];
+
+        if (matches.length == 0) {
+            throw new UsageError(`No files match ${input}`);
+        }
+        files.push(...matches.sort());
+    }
+    return [...new Set(files)];
+}
+
+// RENDERING
+
+function render(script, options, name) {
+    const seqDiagram = new LocalSequenceDiagrams(null, null, options.foreground, options.background, options.theme);
+    switch (options.format) {
+        case "plantuml":
+        case "mermaid": {
+            const { text, unsupported } = (options.format == "plantuml") ? seqDiagram.scriptToPlantUml(script) : seqDiagram.scriptToMermaid(script);
+            for (const message of unsupported) {
+                process.stderr.write(`${name}: warning: ${message}\n`);
+            }
+            return text;
+        }
+        case "ascii":
+            return seqDiagram.scriptToAsciiArt(script) + "\n";
+        case "png": {
+            const rasterizer = new SvgRasterizer({ scale: options.scale, background: seqDiagram.theme.background });
+            return rasterizer.svgElementToPng(seqDiagram.scriptToSvgElement(script));
+        }
+        case "sd":
+            return script;
+        default:
+            return seqDiagram.scriptToSvgText(script) + "\n";
+    }
+}
+
+function outputPathFor(input, options, inputCount) {
+    if (options.output && options.output != "-") {
+        const isDirectory = fs.existsSync(options.output) && fs.statSync(options.output).isDirectory();
+        if (!isDirectory) {
+            if (inputCount > 1) {
+                throw new UsageError("--output must be a directory when rendering several files");
+            }
+            return options.output;
+        }
+        const name = (input == "-") ? "stdin" : path.basename(input, path.extname(input));
+        return path.join(options.output, name + EXTENSIONS[options.format]);
+    }
+    if (input == "-" || options.output == "-") {
+        return "-";
+    }
+    const extension = path.extname(input);
+    return input.slice(0, input.length - extension.length) + EXTENSIONS[options.format];
+}
+
+function reportDiagnostics(name, script, lineOffset = 0, columnOffset = 0) {
+    const diagnostics = new LocalSequenceDiagrams().getDiagnostics(script);
+    for (const d of diagnostics) {
+        const fix = d.fix ? ` (${d.fix})` : "";
+        process.stderr.write(`${name}:${d.line + lineOffset}:${d.column + columnOffset}: ${d.severity}: ${d.message}${fix}\n`);
+    }
+    return diagnostics.some(d => d.severity == "error");
+}
+
+function updateFile(input) {
+    const seqDiagram = new LocalSequenceDiagrams();
+    const text = fs.readFileSync(input, "utf8");
+    let hasErrors = false;
+    for (const block of seqDiagram.extractEmbeddedScripts(text)) {
+        hasErrors = reportDiagnostics(input, block.script, block.scriptLine, block.prefix.length) || hasErrors;
+    }
+
+    const updated = seqDiagram.updateEmbeddedAsciiArt(text);
+    if (updated !== text) {
+        fs.writeFileSync(input, updated);
+    }
+    return !hasErrors;
+}
+
+function importFile(text, name, language) {
+    const seqDiagram = new LocalSequenceDiagrams();
+    const importers = { plantuml: seqDiagram.plantUmlToScript, mermaid: seqDiagram.mermaidToScript, wsd: seqDiagram.wsdToScript };
+    if (!importers[language]) {
+        return text;
+    }
+
+    const { script, unsupported } = importers[language].call(seqDiagram, text);
+    for (const message of unsupported) {
+        process.stderr.write(`${name}: warning: ${message}\n`);
+    }
+    return script;
+}
+
+function renderFile(input, options, inputCount) {
+    const text = (input == "-") ? fs.readFileSync(0, "utf8") : fs.readFileSync(input, "utf8");
+    const name = (input == "-") ? "<stdin>" : input;
+    const script = importFile(text, name, options.from || LANGUAGES[path.extname(input).toLowerCase()] || "sd");
+    const hasErrors = reportDiagnostics(name, script);
+    const output = outputPathFor(input, options, inputCount);
+    if (output != "-" && path.resolve(output) == path.resolve(input)) {
+        throw new UsageError(`${input} would be overwritten, choose another --output`);
+    }
+    const rendered = render(script, options, name);
+
+    if (output == "-") {
+        process.stdout.write(rendered);
+    } else {
+        fs.writeFileSync(output, rendered);
+    }
+    return !hasErrors;
+}
+
+function renderAll(files, options) {
+    let success = true;
+    for (const file of files) {
+        try {
+            success = (options.update ? updateFile(file) : renderFile(file, options, files.length)) && success;
+        } catch (error) {
+            if (error instanceof UsageError) {
+                throw error;
+            }
+            process.stderr.write(`${file}: ${error.message}\n`);
+            success = false;
+        }
+    }
+    return success;
+}
+
+function watchedFile(changed, inputs) {
+    // The globs are expanded again on every change, so that files created after the start are rendered too
+    for (const input of inputs) {
+        let files;
+        try {
+            files = expandInputs([input]);
+        } catch (error) {
+            if (error instanceof UsageError) {
+                continue;
+            }
+            throw error;
+        }
+        const file = files.find(f => path.resolve(f) == path.resolve(changed));
+        if (file) {
+            return file;
+        }
+    }
+    return null;
+}
+
+function watch(files, options) {
+    // The directories are watched rather than the files, because editors that save by renaming
+    // replace the watched file, and new files matching a glob have to be picked up.  Recursive
+    // watching is not reliable on every platform, so each directory below a glob gets a watcher
+    const watchers = new Map();
+    const attach = () => {
+        // A removed directory closes its watcher, and it gets a new one if it comes back
+        for (const [directory, watcher] of watchers) {
+            if (!fs.existsSync(directory)) {
+                watcher.close();
+                watchers.delete(directory);
+            }
+        }
+        for (const input of options.inputs) {
+            const base = isGlob(input) ? globBase(input) : path.dirname(input);
+            const directories = !fs.existsSync(base) ? [] : isGlob(input) ? listDirectories(base) : [base];
+            for (const directory of directories.filter(d => !watchers.has(d))) {
+                const watcher = fs.watch(directory, (eventType, filename) => {
+                    if (filename) {
+                        changed(path.join(directory, filename.toString()));
+                    }
+                });
+                watchers.set(directory, watcher);
+            }
+        }
+    };
+
+    // Editors often write a file in several steps, so changes are collected for a moment
+    const pending = new Map();
+    const changed = (changedPath) => {
+        clearTimeout(pending.get(changedPath));
+        pending.set(changedPath, setTimeout(() => {
+            pending.delete(changedPath);
+            attach();
+            const file = watchedFile(changedPath, options.inputs);
+            if (!file || !fs.existsSync(file)) {
+                return;
+            }
+            try {
+                if (renderAll([file], options)) {
+                    process.stderr.write(`Rendered ${file}\n`);
+                }
+            } catch (error) {
+                process.stderr.write(`${file}: ${error.message}\n`);
+            }
+        }, 100));
+    };
+
+    attach();
+    process.stderr.write(`Watching ${files.length} file(s) for changes, press Ctrl+C to stop\n`);
+}
+
+function main(argv) {
+    let options;
+    let files;
+    try {
+        options = parseArguments(argv);
+        if (options.help) {
+            process.stdout.write(USAGE + "\n");
+            return 0;
+        }
+        files = expandInputs(options.inputs.length > 0 ? options.inputs : ["-"]);
+        const success = renderAll(files, options);
+        if (options.watch) {
+            watch(files, options);
+            return null;
+        }
+        return success ? 0 : 1;
+    } catch (error) {
+        if (error instanceof UsageError) {
+            process.stderr.write(`${error.message}\n\n${USAGE}\n`);
+            return 2;
+        }
+        throw error;
+    }
+}
+
+if (require.main === module) {
+    const exitCode = main(process.argv.slice(2));
+    if (exitCode !== null) {
+        process.exitCode = exitCode;
+    }
+}
+
+module.exports = { main, parseArguments, expandInputs, render };
@@ -0,0 +1,845 @@
+// Copyright (c) James Kilts
+// Licensed under AGPL-3.0
+
+// Rasterizes the SVG produced by LocalSequenceDiagrams into a PNG image without a browser.
+//
+// Only the subset of SVG that the diagrams use is supported: rect, circle, ellipse, line,
+// polyline, polygon, path, text/tspan, groups with simple transforms, dashed strokes and
+// arrow-head markers.  Shapes are drawn onto a supersampled canvas that is averaged down to
+// the final size, which gives anti-aliased edges with a very simple scanline fill.
+//
+// Text is drawn from the small bitmap font embedded below.  Each glyph is stretched to the
+// Arial advance width used by the virtual SVG document, so the text lines up with the layout.
+//
+// const { SvgRasterizer } = require("./local-sequence-diagrams-png.js");
+// const png = new SvgRasterizer().svgElementToPng(new LocalSequenceDiagrams().scriptToSvgElement(script));
+
+const zlib = require("zlib");
+const { LocalSequenceDiagrams, VirtualSvgElement } = require("./local-sequence-diagrams.js");
+
+// Glyph bitmaps rasterized from DejaVu Sans (Bitstream Vera / DejaVu fonts license).
+const FONT_SIZE = 16;
+const FONT_GLYPHS = [
+    [5.09, 0, 0, 0, 0, ""],
+    [6.41, 2, -12, 2, 12, "6b8f8f8f8f8f8f8e23008f8f"],
+    [7.36, 1, -12, 5, 5, "680688b08b8b08b8b08b68068"],
+    [13.41, 1, -12, 12, 12, "00002800640000008b00e5000000b803f1000344f748d4410bfffffffff40008b00e5000000b803f1000688f98ae88208bcfbbedbb30008b00e5000000b803f1000000f407c00000"],
+    [10.18, 1, -13, 8, 16, "0001200000048000002794101bfcdef37e348042bb0480007f74800019ffd9400017bdf5000480bb0004809ba84598f85aeffc60000880000008800000022000"],
+    [15.2, 0, -12, 15, 13, "019ba300008a0000ba39d0004e10000f401f400c700000f400f407c000000e502f21e40000008e8d90990000000048504e13dee60000000c70b804e1000007c00f400f400001e400f400f4000099000d804f20004e10003ebe60000230000014200"],
+    [12.48, 1, -12, 11, 13, "005bbb8000004fa68c000009d0000000008e1000000002f9000000009ef90000428f36f9001f5d9006f906f1f80006f9b90cc00006ff105fa303aef9006efffb36f700034100000"],
+    [4.4, 1, -12, 2, 5, "688b8b8b68"],
+    [6.24, 1, -13, 4, 16, "001400a904f20aa01f605f208f008f008f008f005f301f6009a004f200a90000"],
+    [6.24, 1, -13, 4, 16, "32006d100d8007d002f500e800bb00bb00bb00bb00e802f507d00d806d000000"],
+    [8, 0, -12, 8, 8, "00088000230880323c8888c3006ff60004bccb405b2882b50008800000044000"],
+    [13.41, 1, -11, 11, 11, "0000000000000000f4000000000f4000000000f4000000000f400003bbbbfcbbb83bbbbfcbbb800000f4000000000f4000000000f4000000000f40000"],
+    [5.09, 1, -2, 3, 4, "0f83f77d1850"],
+    [5.77, 0, -6, 5, 3, "000004ffff14444"],
+    [5.09, 1, -2, 3, 2, "4f44f4"],
+    [5.39, 0, -12, 6, 14, "0000b40005f10009a0000e60003f20008c0000d70002f30007d0000c80001f40006e0000a90000830000"],
+    [10.18, 1, -12, 9, 13, "018bb91000be88dd106f4002f80ae0000bc0cb00008f0fb00008f0fb00008f0db00008f0bc0000ae07f2001e901ec219f3003dffe600000340000"],
+    [10.18, 1, -12, 8, 12, "148ab3004ffdf4001308f4000008f4000008f4000008f4000008f4000008f4000008f4000008f4000449f7430ffffffb"],
+    [10.18, 1, -12, 8, 12, "38bbb810bd889fc1400007f6000000f8000005f600001cc00000be300009e300009e300009e300008f744442bffffff8"],
+    [10.18, 1, -12, 8, 13, "49bbb9208b888ee2000002f8000000f8000007f400bffe4000688dd3000001ea000000be000000db86314af68ffffe7000443000"],
+    [10.18, 0, -12, 10, 12, "000007b60000003ff8000000b8f8000007d1f800002e40f80000b900f80007e100f8002e5000f8004ffffffff4144444f941000000f800000000f800"],
+    [10.18, 1, -12, 8, 13, "3bbbbbb04fcbbbb04f4000004f4000004fab96004db9cfb0100007f7000000db000000bb000002f986315cf39ffffd4000442000"],
+    [10.18, 1, -12, 9, 13, "003abba4006fc88a801ea0000007f2000000bc29b8200bde98df50df7001dd0bf10008f2af00008f46f30009f01dc207f8003cfff800000341000"],
+    [10.18, 1, -12, 8, 12, "8bbbbbb88bbbbcf9000006f400000cd000003f7000008f200000ea000006f500000ae000002f8000008f200000dc0000"],
+    [10.18, 1, -12, 9, 13, "039bba4003ed88bf508f2000db09f0000bb04f6003f8005eccf8001cd88cd309e1000bd0eb00008f0cc00009f08f8107f9008ffffb10000441000"],
+    [10.18, 1, -12, 9, 13, "03abb81003ec88ec00ae1003f70f90000cb0f90000bf0cd0001ff05fa45cef005dff88f0000000cb0000004f6036326ec003ffff9100004410000"],
+    [5.39, 1, -9, 3, 9, "0420f80b60000000000000f80f8"],
+    [5.39, 1, -9, 3, 11, "0420f80b60000000000000f83f77d1850"],
+    [13.41, 1, -10, 11, 10, "00000000002000000028db000016cfd83005afe950003efa60000003efa61000000059fe95000000016afe93000000027cb00000000002"],
+    [13.41, 1, -8, 11, 6, "144444444434fffffffffb00000000000000000000004fffffffffb14444444443"],
+    [13.41, 1, -10, 11, 10, "110000000004e95000000016cfd83000000027dfc72000000038df900000038ef800028dfc71017cfd8200004e94000000010000000000"],
+    [8.49, 1, -12, 7, 12, "29bba30bb88ee120005f400005f40003eb0003ec1000ad10000e800000b6000000000000fb00000fb000"],
+    [16, 1, -12, 14, 15, "000001443000000004bfecfd8000009e810005cc1008c200000009c02f3007b93620d689008e88ee407ac502f4003f404df404f0000f404be404f0000f4089b600e7007f44d37b005eddccdd301d70014403300003e80000007100003cd8658dd300000059bb960000"],
+    [10.95, 0, -12, 11, 12, "00007b600000000dfc00000004f8f30000009d0e8000001e808e000006f203f60000cc000ca0002f84449f2008fffffff700da00000ad05f5000006f4ae0000001e9"],
+    [10.98, 1, -12, 9, 12, "6bbbb86008fcbbbfc08f40007f48f40004f48f40009f28fcbbfe408f9888dc18f40001f98f40000bb8f40001eb8f7446cf58fffffb50"],
+    [11.17, 0, -12, 11, 13, "00028bbb940006ed888bf402fc100004309f200000000eb000000000f8000000000f8000000000fa000000000ce0000000006f70000012009f94026d40008dfffe8100000343000"],
+    [12.32, 1, -12, 11, 12, "6bbba8610008fcbbbfe8008f400019f708f400000de08f4000008f48f4000004f48f4000004f48f4000007f48f400000af18f400006f908f7447bfc108ffffda6000"],
+    [10.11, 1, -12, 9, 12, "6bbbbbbb08fcbbbbb08f40000008f40000008f40000008ffffffb08f98888608f40000008f40000008f40000008f74444408fffffff0"],
+    [9.2, 1, -12, 8, 12, "6bbbbbb38fcbbbb38f4000008f4000008f4000008fffffb08f9888608f4000008f4000008f4000008f4000008f400000"],
+    [12.4, 0, -12, 12, 13, "00028bbba610006ed8889fa003fc1000017009f2000000000eb0000000000f80000000000f80000ffff00fa0000449f00ce0000008f006f7000008f0009f94014bf00008dffffb40000002440000"],
+    [12.03, 1, -12, 10, 12, "6b300000b68f400000f88f400000f88f400000f88f400000f88ffffffff88f988888f88f400000f88f400000f88f400000f88f400000f88f400000f8"],
+    [4.72, 1, -12, 3, 12, "6b38f48f48f48f48f48f48f48f48f48f48f4"],
+    [4.72, -1, -12, 5, 16, "006b3008f4008f4008f4008f4008f4008f4008f4008f4008f4008f4008f3008f035eb0bfd3033000"],
+    [10.49, 1, -12, 10, 12, "6b30001aa18f4001ce308f401ce3008f41ce30008f7ec200008ffd1000008fcf6000008f49f600008f409f60008f4009f6008f40009f608f400009f6"],
+    [8.91, 1, -12, 8, 12, "6b3000008f4000008f4000008f4000008f4000008f4000008f4000008f4000008f4000008f4000008f7444438ffffffb"],
+    [13.8, 1, -12, 12, 12, "6bb000002bb38fe600008ff48f9a0000eaf48f4f2005f5f48f0d700aa4f48f08d01f54f48f02f37d04f48f00b9c804f48f006ef204f48f001b9004f48f00000004f48f00000004f4"],
+    [11.97, 1, -12, 10, 12, "6b900003b68ff50004f88fbd0004f88f4f6004f88f0bd004f88f02f704f88f009e14f88f002f84f88f0009e5f88f0001ebf88f00008ff88f00001ef8"],
+    [12.59, 0, -12, 12, 13, "00029bbb7100006fd889fc1003fb10003eb009f2000008f40eb0000002f80f80000000fb0f80000000fb0fa0000001f80ce0000006f606f700001ce1009f8205cf500008efffc400000003420000"],
+    [9.65, 1, -12, 9, 12, "6bbbb82008fcbbef608f4001dd08f40008f08f40009f08f4006fb08fffffc308f74430008f40000008f40000008f40000008f4000000"],
+    [12.59, 0, -12, 12, 15, "00029bbb7100006fd889fc1003fb10003eb009f2000008f40eb0000002f80f80000000fb0f80000000fb0fa0000001f80ce0000006f606f700001ce1009f8205cf500008efffc3000000034be30000000001ce30000000000000"],
+    [11.12, 1, -12, 10, 12, "6bbbb830008fcbbdf6008f4001de008f40008f008f4000af008f7448f8008fffff90008f4029f4008f4000cd008f40004f608f40000bd08f400004f6"],
+    [10.16, 1, -12, 9, 13, "04abbb8305fd888c80cd0000010fb0000000ce40000003efeb8200016adff60000003df10000008f41000008f3d84016ec09effffb20002441000"],
+    [9.77, -1, -12, 11, 12, "0bbbbbbbbb80bbbbfebbb800000fb000000000fb000000000fb000000000fb000000000fb000000000fb000000000fb000000000fb000000000fb000000000fb0000"],
+    [11.71, 1, -12, 10, 13, "6b000003b38f000004f48f000004f48f000004f48f000004f48f000004f48f000004f48f000004f48f000005f46f500009f10de5017f8003bffff8000001440000"],
+    [10.95, 0, -12, 11, 12, "8a0000000a87f3000005f61f9000009e109e00001f9005f60006f3000da000cd00008f202f700002f708f200000bd0da0000006f8f50000001efe000000009f80000"],
+    [15.82, 0, -12, 16, 12, "5b30000b900005b33f70004ff10008f00ea0008be5000cb00ae000b8a8001f8007f300f47c005f4003f704f03f108f0000ea08c00e50cb0000ae0b800a81f800007f3f5008c5f400003f9f1004f9f000000efc0000ffb000000af80000bf8000"],
+    [10.96, 0, -12, 11, 12, "09a000008a104f80004f70008f301db00001dc08e2000004faf700000009fb00000000cfc00000008f7f8000003f808f30000cc001dc0008f30004f803f8000008f3"],
+    [9.77, -1, -12, 11, 12, "099000001b704f70000ae1008e3005f50001dc01ea000004f8ae10000008ff500000000fc000000000fb000000000fb000000000fb000000000fb000000000fb0000"],
+    [10.96, 0, -12, 11, 12, "0bbbbbbbbb00bbbbbbbfe000000009f500000006f800000003f900000001ec10000000ce200000009f400000006f700000004f900000002ee544444414fffffffff4"],
+    [6.24, 1, -13, 4, 16, "24438ffb8b008b008b008b008b008b008b008b008b008b008b008b008ffb0000"],
+    [5.39, 0, -12, 6, 14, "a500009a00005f00001f50000a900006e00002f30000c800007d00003f20000d700008c00004f2000082"],
+    [6.24, 1, -13, 4, 16, "24438ffb008b008b008b008b008b008b008b008b008b008b008b008b8ffb0000"],
+    [13.41, 1, -12, 11, 5, "00003b800000003edf9000003e906f90003e90003e901a7000003b6"],
+    [8, -1, 2, 10, 2, "14444444413bbbbbbbb3"],
+    [8, 1, -13, 5, 4, "3b20008c100099000000"],
+    [9.8, 0, -9, 9, 10, "039dfd910078546eb00000005f30027888f406fca88f40da0002f40f80006f40dc204df403effe3f4000440000"],
+    [10.16, 1, -13, 9, 14, "2400000008f00000008f00000008f00000008f3bfd7008fd648f708f6000ae08f00005f38f00004f48f00004f48f40008f18fc204e808f6fffa10000142000"],
+    [8.8, 0, -9, 8, 10, "0029efc703ec64680ad100000f8000000f8000000f8000000cb0000005f91025006efff900003410"],
+    [10.16, 0, -13, 9, 14, "0000000330000000bb0000000bb0000000bb005cfc5bb04fa46deb0bc0003fb0f80000cb0f50000bb0f80000bb0da0001fb07f701bfb008fff8bb000142000"],
+    [9.84, 0, -9, 9, 10, "002aefa4003eb54af40ad0000ba0f944449f0ffffffff0f80000000cb00000005f920158005dfffe8000034300"],
+    [5.63, 0, -13, 6, 13, "000044008fff02f80004f4008cfcb637f74204f40004f40004f40004f40004f40004f40004f400"],
+    [10.16, 0, -9, 9, 13, "005cfc58805fa45ceb0cb0002fb0f80000cb0f60000bb0f80000cb0cb0002fb05fa45ceb005dfd5bb0000000e80040009f300ffcfe60001444100"],
+    [10.14, 1, -13, 8, 13, "240000008f0000008f0000008f0000008f3afd808fd74af58f4000da8f0000bb8f0000bb8f0000bb8f0000bb8f0000bb8f0000bb"],
+    [4.45, 1, -13, 2, 13, "248f6b006b8f8f8f8f8f8f8f8f"],
+    [4.45, -1, -13, 4, 17, "0024008f006b0000006b008f008f008f008f008f008f008f008f008f00ac4ff51420"],
+    [9.27, 1, -13, 9, 13, "2400000008f00000008f00000008f00000008f0003b708f005e9008f06f70008f8f600008ffb000008f6f900008f06e90008f003e9008f0003e90"],
+    [4.45, 1, -13, 2, 13, "248f8f8f8f8f8f8f8f8f8f8f8f"],
+    [15.59, 1, -9, 14, 9, "6b3afd507dfa308fd64af8b56eb08f4001fd1006f28f0000f80004f48f0000f80004f48f0000f80004f48f0000f80004f48f0000f80004f48f0000f80004f4"],
+    [10.14, 1, -9, 8, 9, "6b3afd808fd74af58f4000da8f0000bb8f0000bb8f0000bb8f0000bb8f0000bb8f0000bb"],
+    [9.79, 0, -9, 9, 10, "004afea2004fa55ce10bd0002f80f80000bb0f800008f0f80000bd0db0001e906f7019f4008fffe50000044000"],
+    [10.16, 1, -9, 9, 13, "6b3bfd7008fd648f708f6000ae08f00005f38f00004f48f00004f48f40008f18fc204e808f6fffa108f01420008f00000008f0000000240000000"],
+    [10.16, 0, -9, 9, 13, "005cfc58804fa46deb0bc0003fb0f80000cb0f50000bb0f80000bb0da0001fb07f701bfb008fff8bb0001420bb0000000bb0000000bb000000033"],
+    [6.58, 1, -9, 6, 9, "6b3af88fd8448f50008f00008f00008f00008f00008f00008f0000"],
+    [8.34, 0, -9, 8, 10, "029efda00cc545900f5000000ec5100003cffc5000015af5000000f8383007f63dffff8000144000"],
+    [6.27, 0, -12, 6, 12, "02400008f00008f0006dfbbb29f44408f00008f00008f00008f00008f00006f744009eff"],
+    [10.14, 1, -9, 8, 10, "88000088bb0000bbbb0000bbbb0000bbbb0000bbbb0000bb8d0001eb5f802aeb09fff8bb00241000"],
+    [9.47, 0, -9, 9, 9, "5b20000891f70001e80ad0006f205f300bc000e902f60008e08f10003f5d900000cdf5000007fd000"],
+    [13.09, 0, -9, 13, 9, "3b3005b6001b40f7009fa006f10ba00daf009c008e02f2f40d8003f47d0b82f5000e8a808b6f1000abe504fbc00007ff100ef800003fc000af400"],
+    [9.47, 0, -9, 9, 9, "1a80003b605f600cc1008e38e30000cdf6000005fd000001ddf60000ae19e2007f401cc03f80003e8"],
+    [9.47, 0, -9, 9, 13, "4b20000891e80001f809d0007f203f500da000ba04f50006f29d00000e8f8000008ff2000002fa0000004f4000000bd00000bff40000034200000"],
+    [8.4, 0, -9, 8, 9, "0bbbbbb8088888fa00001cc10000ae200009e300006f600005f700002ec444434ffffffb"],
+    [10.18, 2, -13, 7, 16, "0000041001cff4007f300008f000008f000008e00000ab00048f7000bed300000da000008c000008f000008f000008f000004fb820004882"],
+    [5.39, 2, -13, 2, 17, "41f4f4f4f4f4f4f4f4f4f4f4f4f4f4f4b3"],
+    [10.18, 2, -13, 7, 16, "4100000ffd300001d900000bb00000bb00000bb00000ac000005f851001beb3008e10000bb00000bb00000bb00000bb00089f70008860000"],
+    [13.41, 1, -7, 11, 4, "0004200000118fffc7448b4b5159effb310000003100"],
+];
+
+// 4x4 ordered dither thresholds, used to turn glyph coverage into supersampled pixels
+const BAYER = [0, 8, 2, 10, 12, 4, 14, 6, 3, 11, 1, 9, 15, 7, 13, 5].map(v => (v + 0.5) / 16);
+
+class SvgRasterizer {
+    constructor(options = {}) {
+        this.scale = options.scale || 1;
+        this.background = options.background || null;
+        this.glyphs = FONT_GLYPHS.map(([advance, left, top, width, height, data]) => ({ advance, left, top, width, height, data }));
+        this.charWidths = VirtualSvgElement.charWidths;
+    }
+
+    svgElementToPng(svg) {
+        const { width, height, pixels } = this.rasterize(svg);
+        return this.encodePng(width, height, pixels);
+    }
+
+    // RASTERIZING
+
+    rasterize(svg) {
+        const width = Math.max(1, Math.ceil(parseFloat(svg.getAttribute("width")) * this.scale));
+        const height = Math.max(1, Math.ceil(parseFloat(svg.getAttribute("height")) * this.scale));
+
+        // Large diagrams use fewer samples per pixel to keep the memory use reasonable
+        const samples = (width * height > 4000000) ? 1 : (width * height > 1000000 ? 2 : 3);
+        this.canvas = {
+            width: width * samples,
+            height: height * samples,
+            data: new Uint8Array(width * samples * height * samples * 4)
+        };
+
+        this.markers = {};
+        this.collectMarkers(svg);
+
+        if (this.background) {
+            this.fillPolygons([[[0, 0], [width, 0], [width, height], [0, height]]], this.parseColor(this.background), [samples, 0, 0, samples, 0, 0]);
+        }
+
+        const matrix = [this.scale * samples, 0, 0, this.scale * samples, 0, 0];
+        this.drawChildren(svg, matrix, this.defaultStyle());
+
+        return { width, height, pixels: this.downsample(width, height, samples) };
+    }
+
+    defaultStyle() {
+        return {
+            fill: "#000",
+            stroke: "none",
+            "stroke-width": "1",
+            "stroke-dasharray": "none",
+            "font-size": String(FONT_SIZE),
+            "font-weight": "normal",
+            "text-anchor": "start",
+            "paint-order": "normal",
+            "marker-start": null,
+            "marker-end": null
+        };
+    }
+
+    collectMarkers(element) {
+        if (element.tagName === "marker") {
+            this.markers[element.getAttribute("id")] = element;
+        }
+        for (const child of element.children) {
+            this.collectMarkers(child);
+        }
+    }
+
+    inheritStyle(element, parentStyle) {
+        // Presentation attributes and the style attribute both override the inherited values,
+        // but markers only apply to the element that names them
+        const style = { ...parentStyle, "marker-start": null, "marker-end": null };
+        for (const name in style) {
+            if (element.getAttribute(name) !== null) {
+                style[name] = element.getAttribute(name);
+            }
+        }
+        for (const declaration of (element.getAttribute("style") || "").split(";")) {
+            const [name, value] = declaration.split(":").map(part => part && part.trim());
+            if (name && value !== undefined) {
+                style[name] = value;
+            }
+        }
+        return style;
+    }
+
+    drawChildren(element, matrix, style) {
+        for (const child of element.children) {
+            this.drawElement(child, matrix, style);
+        }
+    }
+
+    drawElement(element, parentMatrix, parentStyle) {
+        if (element.tagName === "defs" || element.tagName === "marker" || element.tagName === "title") {
+            return;
+        }
+
+        const style = this.inheritStyle(element, parentStyle);
+        const matrix = this.multiply(parentMatrix, this.parseTransform(element.getAttribute("transform")));
+        const num = (name, fallback = 0) => {
+            const value = parseFloat(element.getAttribute(name));
+            return isNaN(value) ? fallback : value;
+        };
+
+        let shape = null;
+        switch (element.tagName) {
+            case "svg":
+            case "g":
+                this.drawChildren(element, matrix, style);
+                return;
+            case "text":
+                this.drawText(element, matrix, style);
+                return;
+            case "rect":
+                shape = this.rectToSubpaths(num("x"), num("y"), num("width"), num("height"), num("rx", num("ry")), num("ry", num("rx")));
+                break;
+            case "circle":
+                shape = [this.ellipseToSubpath(num("cx"), num("cy"), num("r"), num("r"))];
+                break;
+            case "ellipse":
+                shape = [this.ellipseToSubpath(num("cx"), num("cy"), num("rx"), num("ry"))];
+                break;
+            case "line":
+                shape = [{ points: [[num("x1"), num("y1")], [num("x2"), num("y2")]], closed: false }];
+                break;
+            case "polyline":
+            case "polygon":
+                shape = [{ points: this.parseNumbers(element.getAttribute("points") || "").reduce((points, value, i, all) => {
+                    if (i % 2 == 0 && i + 1 < all.length) points.push([value, all[i + 1]]);
+                    return points;
+                }, []), closed: element.tagName === "polygon" }];
+                break;
+            case "path":
+                shape = this.parsePath(element.getAttribute("d") || "");
+                break;
+            default:
+                return;
+        }
+
+        this.drawShape(shape, matrix, style, element.tagName !== "line" && element.tagName !== "polyline");
+    }
+
+    drawShape(subpaths, matrix, style, fillable) {
+        const fill = this.parseColor(style.fill);
+        const stroke = this.parseColor(style.stroke);
+        const strokeWidth = parseFloat(style["stroke-width"]) || 1;
+
+        if (fill && fillable) {
+            this.fillPolygons(subpaths.filter(s => s.points.length > 2).map(s => s.points), fill, matrix);
+        }
+        if (stroke) {
+            const dashes = this.parseNumbers(style["stroke-dasharray"] === "none" ? "" : style["stroke-dasharray"]);
+            for (const subpath of subpaths) {
+                this.strokePolyline(subpath.points, subpath.closed, strokeWidth, dashes, stroke, matrix);
+            }
+        }
+
+        // Arrow heads are scaled by the stroke width and rotated along the line
+        const allPoints = subpaths.flatMap(s => s.points);
+        if (style["marker-end"] && allPoints.length > 1) {
+            this.drawMarker(style["marker-end"], allPoints.at(-1), allPoints.at(-2), strokeWidth, matrix, style);
+        }
+        if (style["marker-start"] && allPoints.length > 1) {
+            this.drawMarker(style["marker-start"], allPoints[0], allPoints[1], strokeWidth, matrix, style, true);
+        }
+    }
+
+    drawMarker(reference, point, previous, strokeWidth, matrix, style, isStart = false) {
+        const id = (reference.match(/url\(#([^)]+)\)/) || [])[1];
+        const marker = this.markers[id];
+        if (!marker) {
+            return;
+        }
+
+        const [vx, vy, vw] = this.parseNumbers(marker.getAttribute("viewBox") || "0 0 10 10");
+        const markerScale = (parseFloat(marker.getAttribute("markerWidth")) || 3) / (vw || 1) * strokeWidth;
+        let angle = Math.atan2(point[1] - previous[1], point[0] - previous[0]);
+        if (isStart) {
+            angle += Math.PI;
+        }
+        const refX = parseFloat(marker.getAttribute("refX")) || 0;
+        const refY = parseFloat(marker.getAttribute("refY")) || 0;
+
+        let m = this.multiply(matrix, [1, 0, 0, 1, point[0], point[1]]);
+        m = this.multiply(m, [Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+        m = this.multiply(m, [markerScale, 0, 0, markerScale, 0, 0]);
+        m = this.multiply(m, [1, 0, 0, 1, -refX, -refY]);
+        this.drawChildren(marker, m, { ...style, "marker-start": null, "marker-end": null, "stroke-dasharray": "none" });
+    }
+
+    // GEOMETRY
+
+    rectToSubpaths(x, y, width, height, rx, ry) {
+        if (width <= 0 || height <= 0) {
+            return [];
+        }
+        rx = Math.min(rx, width / 2);
+        ry = Math.min(ry, height / 2);
+        if (rx <= 0 || ry <= 0) {
+            return [{ points: [[x, y], [x + width, y], [x + width, y + height], [x, y + height]], closed: true }];
+        }
+
+        const points = [];
+        const corners = [[x + width - rx, y + ry, -90], [x + width - rx, y + height - ry, 0], [x + rx, y + height - ry, 90], [x + rx, y + ry, 180]];
+        for (const [cx, cy, start] of corners) {
+            for (let a = 0; a <= 90; a += 15) {
+                const rad = (start + a) * Math.PI / 180;
+                points.push([cx + rx * Math.cos(rad), cy + ry * Math.sin(rad)]);
+            }
+        }
+        return [{ points, closed: true }];
+    }
+
+    ellipseToSubpath(cx, cy, rx, ry) {
+        const points = [];
+        for (let a = 0; a < 360; a += 10) {
+            const rad = a * Math.PI / 180;
+            points.push([cx + rx * Math.cos(rad), cy + ry * Math.sin(rad)]);
+        }
+        return { points, closed: true };
+    }
+
+    parseNumbers(text) {
+        return (String(text).match(/-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/gi) || []).map(Number);
+    }
+
+    parsePath(d) {
+        // Flattens the path into polylines: M m L l H h V v C c Q q A a Z z
+        const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e-?\d+)?/gi) || [];
+        const subpaths = [];
+        let current = null;
+        let x = 0, y = 0, startX = 0, startY = 0;
+        let command = null;
+        let i = 0;
+
+        const next = () => parseFloat(tokens[i++]);
+        const lineTo = (nx, ny) => {
+            if (!current) {
+                current = { points: [[x, y]], closed: false };
+                subpaths.push(current);
+            }
+            current.points.push([nx, ny]);
+            x = nx;
+            y = ny;
+        };
+
+        while (i < tokens.length) {
+            if (/[a-zA-Z]/.test(tokens[i])) {
+                command = tokens[i++];
+            }
+            const relative = command === command.toLowerCase();
+            const ox = relative ? x : 0;
+            const oy = relative ? y : 0;
+
+            switch (command.toUpperCase()) {
+                case "M": {
+                    x = ox + next();
+                    y = oy + next();
+                    startX = x;
+                    startY = y;
+                    current = { points: [[x, y]], closed: false };
+                    subpaths.push(current);
+                    command = relative ? "l" : "L";  // further pairs are implicit line-tos
+                    break;
+                }
+                case "L": {
+                    const nx = ox + next();
+                    lineTo(nx, oy + next());
+                    break;
+                }
+                case "H":
+                    lineTo(ox + next(), y);
+                    break;
+                case "V":
+                    lineTo(x, oy + next());
+                    break;
+                case "C": {
+                    const [x1, y1, x2, y2, x3, y3] = [next() + ox, next() + oy, next() + ox, next() + oy, next() + ox, next() + oy];
+                    const [x0, y0] = [x, y];
+                    for (let t = 1; t <= 12; t++) {
+                        const s = t / 12, u = 1 - s;
+                        lineTo(u*u*u*x0 + 3*u*u*s*x1 + 3*u*s*s*x2 + s*s*s*x3, u*u*u*y0 + 3*u*u*s*y1 + 3*u*s*s*y2 + s*s*s*y3);
+                    }
+                    break;
+                }
+                case "Q": {
+                    const [x1, y1, x2, y2] = [next() + ox, next() + oy, next() + ox, next() + oy];
+                    const [x0, y0] = [x, y];
+                    for (let t = 1; t <= 8; t++) {
+                        const s = t / 8, u = 1 - s;
+                        lineTo(u*u*x0 + 2*u*s*x1 + s*s*x2, u*u*y0 + 2*u*s*y1 + s*s*y2);
+                    }
+                    break;
+                }
+                case "A": {
+                    const [rx, ry, rotation, largeArc, sweep] = [next(), next(), next(), next(), next()];
+                    const ex = ox + next();
+                    const ey = oy + next();
+                    for (const point of this.flattenArc(x, y, rx, ry, rotation, largeArc, sweep, ex, ey)) {
+                        lineTo(point[0], point[1]);
+                    }
+                    break;
+                }
+                case "Z":
+                    if (current) {
+                        current.closed = true;
+                    }
+                    x = startX;
+                    y = startY;
+                    current = null;
+                    break;
+                default:
+                    i++;
+            }
+        }
+        return subpaths;
+    }
+
+    flattenArc(x1, y1, rx, ry, rotation, largeArc, sweep, x2, y2) {
+        // Endpoint to center parameterization, see the SVG specification (F.6.5)
+        if (rx === 0 || ry === 0) {
+            return [[x2, y2]];
+        }
+        rx = Math.abs(rx);
+        ry = Math.abs(ry);
+        const phi = rotation * Math.PI / 180;
+        const cos = Math.cos(phi), sin = Math.sin(phi);
+        const dx = (x1 - x2) / 2, dy = (y1 - y2) / 2;
+        const px = cos * dx + sin * dy;
+        const py = -sin * dx + cos * dy;
+
+        const lambda = (px * px) / (rx * rx) + (py * py) / (ry * ry);
+        if (lambda > 1) {
+            rx *= Math.sqrt(lambda);
+            ry *= Math.sqrt(lambda);
+        }
+
+        const sign = (largeArc == sweep) ? -1 : 1;
+        const numerator = rx * rx * ry * ry - rx * rx * py * py - ry * ry * px * px;
+        const factor = sign * Math.sqrt(Math.max(0, numerator / (rx * rx * py * py + ry * ry * px * px)));
+        const cxp = factor * rx * py / ry;
+        const cyp = -factor * ry * px / rx;
+        const cx = cos * cxp - sin * cyp + (x1 + x2) / 2;
+        const cy = sin * cxp + cos * cyp + (y1 + y2) / 2;
+
+        const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        const theta = angle(1, 0, (px - cxp) / rx, (py - cyp) / ry);
+        let delta = angle((px - cxp) / rx, (py - cyp) / ry, (-px - cxp) / rx, (-py - cyp) / ry);
+        if (!sweep && delta > 0) delta -= 2 * Math.PI;
+        if (sweep && delta < 0) delta += 2 * Math.PI;
+
+        const points = [];
+        const steps = Math.max(4, Math.ceil(Math.abs(delta) / (Math.PI / 12)));
+        for (let s = 1; s <= steps; s++) {
+            const t = theta + delta * s / steps;
+            points.push([cx + rx * Math.cos(t) * cos - ry * Math.sin(t) * sin, cy + rx * Math.cos(t) * sin + ry * Math.sin(t) * cos]);
+        }
+        return points;
+    }
+
+    parseTransform(transform) {
+        let matrix = [1, 0, 0, 1, 0, 0];
+        const pattern = /(matrix|translate|scale|rotate)\s*\(([^)]*)\)/g;
+        let match;
+        while ((match = pattern.exec(transform || "")) !== null) {
+            const args = this.parseNumbers(match[2]);
+            if (match[1] === "matrix" && args.length === 6) {
+                matrix = this.multiply(matrix, args);
+            } else if (match[1] === "translate") {
+                matrix = this.multiply(matrix, [1, 0, 0, 1, args[0] || 0, args[1] || 0]);
+            } else if (match[1] === "scale") {
+                matrix = this.multiply(matrix, [args[0], 0, 0, args.length > 1 ? args[1] : args[0], 0, 0]);
+            } else if (match[1] === "rotate" && args[0]) {
+                const rad = args[0] * Math.PI / 180;
+                const [cx, cy] = [args[1] || 0, args[2] || 0];
+                matrix = this.multiply(matrix, [1, 0, 0, 1, cx, cy]);
+                matrix = this.multiply(matrix, [Math.cos(rad), Math.sin(rad), -Math.sin(rad), Math.cos(rad), 0, 0]);
+                matrix = this.multiply(matrix, [1, 0, 0, 1, -cx, -cy]);
+            }
+        }
+        return matrix;
+    }
+
+    multiply(m, n) {
+        return [
+            m[0] * n[0] + m[2] * n[1],
+            m[1] * n[0] + m[3] * n[1],
+            m[0] * n[2] + m[2] * n[3],
+            m[1] * n[2] + m[3] * n[3],
+            m[0] * n[4] + m[2] * n[5] + m[4],
+            m[1] * n[4] + m[3] * n[5] + m[5]
+        ];
+    }
+
+    apply(m, point) {
+        return [m[0] * point[0] + m[2] * point[1] + m[4], m[1] * point[0] + m[3] * point[1] + m[5]];
+    }
+
+    // PAINTING
+
+    parseColor(value) {
+        if (!value || value === "none" || value === "transparent") {
+            return null;
+        }
+        value = LocalSequenceDiagrams.NAMED_COLORS[value.toLowerCase()] || value;
+
+        let match = value.match(/^#([0-9a-f]{3,8})$/i);
+        if (match) {
+            let hex = match[1];
+            if (hex.length <= 4) {
+                hex = hex.split("").map(c => c + c).join("");
+            }
+            const alpha = hex.length === 8 ? parseInt(hex.slice(6, 8), 16) : 255;
+            return [parseInt(hex.slice(0, 2), 16), parseInt(hex.slice(2, 4), 16), parseInt(hex.slice(4, 6), 16), alpha];
+        }
+
+        match = value.match(/^rgba?\(([^)]*)\)$/i);
+        if (match) {
+            const [r, g, b, a] = this.parseNumbers(match[1]);
+            return [r, g, b, a === undefined ? 255 : Math.round(a * 255)];
+        }
+
+        return [0, 0, 0, 255];
+    }
+
+    paint(x, y, color) {
+        if (x < 0 || y < 0 || x >= this.canvas.width || y >= this.canvas.height || color[3] === 0) {
+            return;
+        }
+        const i = (y * this.canvas.width + x) * 4;
+        const data = this.canvas.data;
+        const alpha = color[3] / 255;
+        const below = data[i + 3] / 255;
+        const outAlpha = alpha + below * (1 - alpha);
+        for (let c = 0; c < 3; c++) {
+            data[i + c] = Math.round((color[c] * alpha + data[i + c] * below * (1 - alpha)) / outAlpha);
+        }
+        data[i + 3] = Math.round(outAlpha * 255);
+    }
+
+    fillPolygons(polygons, color, matrix) {
+        // Scanline fill with the nonzero winding rule, sampled at the center of each canvas pixel
+        const edges = [];
+        let minY = Infinity, maxY = -Infinity;
+        for (const polygon of polygons) {
+            const points = polygon.map(p => this.apply(matrix, p));
+            for (let i = 0; i < points.length; i++) {
+                const [x0, y0] = points[i];
+                const [x1, y1] = points[(i + 1) % points.length];
+                if (y0 !== y1) {
+                    edges.push([x0, y0, x1, y1]);
+                    minY = Math.min(minY, y0, y1);
+                    maxY = Math.max(maxY, y0, y1);
+                }
+            }
+        }
+
+        const first = Math.max(0, Math.floor(minY));
+        const last = Math.min(this.canvas.height - 1, Math.ceil(maxY));
+        for (let y = first; y <= last; y++) {
+            const sampleY = y + 0.5;
+            const crossings = [];
+            for (const [x0, y0, x1, y1] of edges) {
+                if ((y0 <= sampleY && sampleY < y1) || (y1 <= sampleY && sampleY < y0)) {
+                    crossings.push([x0 + (sampleY - y0) * (x1 - x0) / (y1 - y0), y1 > y0 ? 1 : -1]);
+                }
+            }
+            crossings.sort((a, b) => a[0] - b[0]);
+
+            let winding = 0;
+            for (let i = 0; i < crossings.length - 1; i++) {
+                winding += crossings[i][1];
+                if (winding !== 0) {
+                    const startX = Math.max(0, Math.ceil(crossings[i][0] - 0.5));
+                    const endX = Math.min(this.canvas.width - 1, Math.floor(crossings[i + 1][0] - 0.5));
+                    for (let x = startX; x <= endX; x++) {
+                        this.paint(x, y, color);
+                    }
+                }
+            }
+        }
+    }
+
+    strokePolyline(points, closed, width, dashes, color, matrix) {
+        if (closed && points.length > 1) {
+            points = [...points, points[0]];
+        }
+
+        // Split into dashes, then each segment becomes a rectangle with round joints between them
+        const segments = [];
+        let dashIndex = 0;
+        let dashLeft = dashes.length > 0 ? dashes[0] : Infinity;
+        let drawing = true;
+        for (let i = 0; i < points.length - 1; i++) {
+            let [x0, y0] = points[i];
+            const [x1, y1] = points[i + 1];
+            let length = Math.hypot(x1 - x0, y1 - y0);
+            while (length > 0) {
+                const step = Math.min(length, dashLeft);
+                const t = step / length;
+                const [nx, ny] = [x0 + (x1 - x0) * t, y0 + (y1 - y0) * t];
+                if (drawing) {
+                    segments.push([[x0, y0], [nx, ny]]);
+                }
+                [x0, y0] = [nx, ny];
+                length -= step;
+                dashLeft -= step;
+                if (dashLeft <= 0) {
+                    dashIndex = (dashIndex + 1) % dashes.length;
+                    dashLeft = dashes[dashIndex];
+                    drawing = !drawing;
+                }
+            }
+        }
+
+        const half = width / 2;
+        const polygons = [];
+        for (const [[x0, y0], [x1, y1]] of segments) {
+            const length = Math.hypot(x1 - x0, y1 - y0) || 1;
+            const nx = -(y1 - y0) / length * half;
+            const ny = (x1 - x0) / length * half;
+            polygons.push([[x0 + nx, y0 + ny], [x1 + nx, y1 + ny], [x1 - nx, y1 - ny], [x0 - nx, y0 - ny]]);
+        }
+        for (let i = 1; i < segments.length; i++) {
+            if (segments[i - 1][1][0] === segments[i][0][0] && segments[i - 1][1][1] === segments[i][0][1]) {
+                polygons.push(this.ellipseToSubpath(segments[i][0][0], segments[i][0][1], half, half).points);
+            }
+        }
+
+        // Each polygon is filled on its own, so that overlapping joints do not cancel each other out
+        for (const polygon of polygons) {
+            this.fillPolygons([polygon], color, matrix);
+        }
+    }
+
+    // TEXT
+
+    drawText(text, matrix, style) {
+        const fontSize = parseFloat(style["font-size"]) || FONT_SIZE;
+        const bold = /bold|[6-9]00/.test(style["font-weight"]);
+        const fill = this.parseColor(style.fill);
+        const stroke = (style["paint-order"] || "").startsWith("stroke") ? this.parseColor(style.stroke) : null;
+        const haloWidth = parseFloat(style["stroke-width"]) || 0;
+
+        let x = parseFloat(text.getAttribute("x")) || 0;
+        let y = parseFloat(text.getAttribute("y")) || 0;
+        const spans = (text.children.length > 0) ? text.children : [text];
+
+        for (const span of spans) {
+            const spanX = parseFloat(span.getAttribute("x"));
+            if (!isNaN(spanX)) {
+                x = spanX;
+            }
+            y += this.parseLength(span.getAttribute("dy"), fontSize);
+
+            const content = span.textContent;
+            const lineWidth = this.measureText(content, fontSize);
+            const anchor = style["text-anchor"];
+            const startX = x - (anchor === "middle" ? lineWidth / 2 : (anchor === "end" ? lineWidth : 0));
+
+            // The background colored outline keeps text readable where it crosses lines
+            if (stroke && haloWidth > 0) {
+                this.drawGlyphs(content, startX, y, fontSize, bold, stroke, matrix, haloWidth / 2);
+            }
+            if (fill) {
+                this.drawGlyphs(content, startX, y, fontSize, bold, fill, matrix, 0);
+            }
+        }
+    }
+
+    parseLength(value, fontSize) {
+        if (!value) {
+            return 0;
+        }
+        const number = parseFloat(value) || 0;
+        return value.endsWith("em") ? number * fontSize : number;
+    }
+
+    advanceOf(char, fontSize) {
+        const code = char.codePointAt(0);
+        const width = (code >= 32 && code <= 126) ? this.charWidths[code - 32] : (code >= 0x1100 ? 1000 : 556);
+        return width * fontSize / 1000;
+    }
+
+    measureText(content, fontSize) {
+        let width = 0;
+        for (const char of content) {
+            width += this.advanceOf(char, fontSize);
+        }
+        return width;
+    }
+
+    drawGlyphs(content, x, baseline, fontSize, bold, color, matrix, grow) {
+        const pixelScale = Math.hypot(matrix[0], matrix[1]);
+        for (const char of content) {
+            const code = char.codePointAt(0);
+            const glyph = this.glyphs[(code >= 32 && code <= 126) ? code - 32 : "?".charCodeAt(0) - 32];
+            const advance = this.advanceOf(char, fontSize);
+
+            if (glyph.width > 0) {
+                // Stretch the glyph to the advance width used for the layout
+                const scaleY = fontSize / FONT_SIZE;
+                const scaleX = advance / (glyph.advance * scaleY) * scaleY;
+                const left = x + glyph.left * scaleX - grow;
+                const top = baseline + glyph.top * scaleY - grow;
+                const [deviceLeft, deviceTop] = this.apply(matrix, [left, top]);
+                const deviceWidth = Math.ceil((glyph.width * scaleX + 2 * grow) * pixelScale);
+                const deviceHeight = Math.ceil((glyph.height * scaleY + 2 * grow) * pixelScale);
+                const deviceGrow = grow * pixelScale;
+
+                for (let dy = 0; dy < deviceHeight; dy++) {
+                    for (let dx = 0; dx < deviceWidth; dx++) {
+                        const px = Math.floor(deviceLeft) + dx;
+                        const py = Math.floor(deviceTop) + dy;
+                        const coverage = deviceGrow > 0
+                            ? this.grownCoverage(glyph, (dx - deviceGrow) / pixelScale / scaleX, (dy - deviceGrow) / pixelScale / scaleY, grow / scaleY)
+                            : this.glyphCoverage(glyph, dx / pixelScale / scaleX, dy / pixelScale / scaleY);
+                        const threshold = BAYER[(py & 3) * 4 + (px & 3)];
+                        if (coverage > threshold || (bold && coverage > threshold / 2)) {
+                            this.paint(px, py, color);
+                        }
+                    }
+                }
+            }
+            x += advance;
+        }
+    }
+
+    glyphCoverage(glyph, gx, gy) {
+        const column = Math.floor(gx);
+        const row = Math.floor(gy);
+        if (column < 0 || row < 0 || column >= glyph.width || row >= glyph.height) {
+            return 0;
+        }
+        return parseInt(glyph.data[row * glyph.width + column], 16) / 15;
+    }
+
+    grownCoverage(glyph, gx, gy, radius) {
+        let coverage = 0;
+        for (const [ox, oy] of [[0, 0], [1, 0], [-1, 0], [0, 1], [0, -1], [0.7, 0.7], [-0.7, 0.7], [0.7, -0.7], [-0.7, -0.7]]) {
+            coverage = Math.max(coverage, this.glyphCoverage(glyph, gx + ox * radius, gy + oy * radius));
+        }
+        return coverage;
+    }
+
+    // OUTPUT
+
+    downsample(width, height, samples) {
+        // Average the supersampled canvas down to the output size (premultiplied by alpha)
+        const source = this.canvas.data;
+        const pixels = new Uint8Array(width * height * 4);
+        const count = samples * samples;
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let r = 0, g = 0, b = 0, a = 0;
+                for (let sy = 0; sy < samples; sy++) {
+                    for (let sx = 0; sx < samples; sx++) {
+                        const i = ((y * samples + sy) * this.canvas.width + x * samples + sx) * 4;
+                        const alpha = source[i + 3];
+                        r += source[i] * alpha;
+                        g += source[i + 1] * alpha;
+                        b += source[i + 2] * alpha;
+                        a += alpha;
+                    }
+                }
+                const o = (y * width + x) * 4;
+                if (a > 0) {
+                    pixels[o] = Math.round(r / a);
+                    pixels[o + 1] = Math.round(g / a);
+                    pixels[o + 2] = Math.round(b / a);
+                    pixels[o + 3] = Math.round(a / count);
+                }
+            }
+        }
+        return pixels;
+    }
+
+    encodePng(width, height, pixels) {
+        // 8-bit RGBA, every row with filter type 0 (none)
+        const raw = Buffer.alloc((width * 4 + 1) * height);
+        for (let y = 0; y < height; y++) {
+            raw[y * (width * 4 + 1)] = 0;
+            Buffer.from(pixels.buffer, y * width * 4, width * 4).copy(raw, y * (width * 4 + 1) + 1);
+        }
+
+        const header = Buffer.alloc(13);
+        header.writeUInt32BE(width, 0);
+        header.writeUInt32BE(height, 4);
+        header[8] = 8;   // bit depth
+        header[9] = 6;   // color type RGBA
+
+        return Buffer.concat([
+            Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+            this.pngChunk("IHDR", header),
+            this.pngChunk("IDAT", zlib.deflateSync(raw)),
+            this.pngChunk("IEND", Buffer.alloc(0))
+        ]);
+    }
+
+    pngChunk(type, data) {
+        const length = Buffer.alloc(4);
+        length.writeUInt32BE(data.length, 0);
+        const body = Buffer.concat([Buffer.from(type, "ascii"), data]);
+        const crc = Buffer.alloc(4);
+        crc.writeUInt32BE(this.crc32(body), 0);
+        return Buffer.concat([length, body, crc]);
+    }
+
+    crc32(buffer) {
+        if (!SvgRasterizer.crcTable) {
+            SvgRasterizer.crcTable = Array.from({ length: 256 }, (_, n) => {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = (c & 1) ? (0xedb88320 ^ (c >>> 1)) : (c >>> 1);
+                }
+                return c >>> 0;
+            });
+        }
+        let crc = 0xffffffff;
+        for (const byte of buffer) {
+            crc = SvgRasterizer.crcTable[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+module.exports = { SvgRasterizer };
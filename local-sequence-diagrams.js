@@ -12,32 +12,39 @@
 // The internal data structures held for actors and events look like the following:
 //
 // const actors = [
-//     { type: "actor", caption: "string1" },
-//     { type: "participant", caption: "string2" },
-//     { type: "participant", caption: "string3" },
-//     { type: "participant", caption: "yo" }
+//     { type: "actor", caption: "string1", alias: "L" },
+//     { type: "participant", caption: "string2", alias: "string2" },
+//     { type: "participant", caption: "string3", alias: "string3" },
+//     { type: "participant", caption: "yo", alias: "yo" }
 // ];
 //
 // const events = [
+//     { type: "comment", caption: " the rest of the script" },
 //     { type: "signal", src: "yo", dest: "string3", caption: "from yo to three", slope: 5, open: true },
+//     { type: "activate", src: "string3" },
 //     { type: "note", src: "yo", caption: "thinking about it much much longer", align: "left" },
-//     { type: "alt", cases: [
-//         { caption: "success", events: [
-//             { type: "signal", caption: "again one to two", src: "string1", dest: "string2" }
+//     { type: "loop", cases: [
+//         { caption: "retry < 3", events: [
+//             { type: "signal", caption: "again one to two", src: "L", dest: "string2" }
 //         ]}
 //     ]}
 // ];
 //
 // <sequence>
-// ╔═════════╗
-// ║  Start  ║
-// ╚═══╤═════╝
-//     │  Closed arrow
-//     │────────────────│
-//     │  Open arrow
-//     │────────────────>│
-//     │
-//     │
+//  ╔═════╗        ╔═══╗
+//  ║Start║        ║End║
+//  ╚══╤══╝        ╚═╤═╝
+//     │             │
+//     │Closed arrow │
+//     │────────────►│
+//     │             │
+//     │ Open arrow  │
+//     │────────────►│
+//     │             │
+//     │             │
+//  ╔══╧══╗        ╔═╧═╗
+//  ║Start║        ║End║
+//  ╚═════╝        ╚═══╝
 //
 // ## localdiagrams.github.io ##
 //
@@ -52,13 +59,252 @@
 //
 // Since size and location are preserved during placement, the rendering stage can focus
 // on the output-specific format, namely SVG.
+//
+// Outside of a browser (e.g. in Node.js) there is no DOM, so a small virtual SVG document
+// at the end of this file builds the elements and measures text from font metrics:
+//
+// const LocalSequenceDiagrams = require("./local-sequence-diagrams.js");
+// const svgText = new LocalSequenceDiagrams().scriptToSvgText("A->B: hello");
 
 class LocalSequenceDiagrams {
-    constructor(doc = null, serializer = null, colorForeground = "#000", colorBackground = "#fff") {
-        this.doc = doc || document;
-        this.serializer = serializer || new XMLSerializer();
-        this.color = colorForeground;
-        this.colorBg = colorBackground;
+    // Separates the generated ASCII art from the script in embedded blocks (see extractEmbeddedScripts)
+    static EMBEDDED_SEPARATOR = "## localdiagrams.github.io ##";
+
+    // Built-in themes for the SVG output.  "light" lists every setting, the others only what differs
+    // from it.  A stroke or text color of null uses the foreground color, a fill of null the background
+    // color, and the fonts of each kind of text only override the properties of the default font.
+    // Ref and state captions use the note font.
+    static THEMES = {
+        "light": {
+            background: "#fff",
+            foreground: "#000",
+            font: { family: "Arial", size: 16, weight: "normal" },
+            fonts: {
+                participant: {}, message: {}, note: {}, fragment: {},
+                title: { size: 20, weight: "bold" }, header: { size: 12 }, footer: { size: 12 }, caption: {}, legend: {},
+                divider: {}, delay: {}, box: { weight: "bold" }
+            },
+            strokeWidth: 2,
+            participant: { fill: "none", stroke: null, text: null, radius: 0 },
+            lifeline: { stroke: null, width: 1, dasharray: "none" },
+            activation: { fill: null, stroke: null },
+            message: { stroke: null, text: null },
+            note: { fill: "none", stroke: null, text: null },
+            ref: { fill: null, stroke: null, text: null, radius: 0 },
+            state: { fill: null, stroke: null, text: null, radius: 10 },
+            fragment: { fill: "none", stroke: null, text: null, radius: 0 },
+            title: { text: null },
+            header: { text: null },
+            footer: { text: null },
+            caption: { text: null },
+            legend: { fill: "none", stroke: null, text: null, radius: 0 },
+            divider: { fill: null, stroke: null, text: null },
+            delay: { text: null },
+            box: { fill: "#eeeeee", stroke: "#cccccc", text: null, radius: 0 }
+        },
+        "dark": {
+            background: "#1e1e1e",
+            foreground: "#d4d4d4",
+            participant: { fill: "#2d2d30" },
+            lifeline: { stroke: "#808080" },
+            activation: { fill: "#3c3c3c" },
+            message: { stroke: "#9cdcfe" },
+            note: { fill: "#3b3a2e" },
+            fragment: { stroke: "#808080" },
+            header: { text: "#808080" },
+            footer: { text: "#808080" },
+            legend: { fill: "#2d2d30" },
+            box: { fill: "#252526", stroke: "#3c3c3c" }
+        },
+        "high-contrast": {
+            background: "#000",
+            foreground: "#fff",
+            font: { size: 18, weight: "bold" },
+            strokeWidth: 3,
+            lifeline: { width: 2 },
+            message: { stroke: "#ffd700" },
+            fragment: { stroke: "#00ffff", text: "#00ffff" },
+            box: { fill: "none", stroke: null }
+        },
+        "print": {
+            background: "#fff",
+            foreground: "#000",
+            font: { family: "Times New Roman", size: 14 },
+            fonts: { title: { size: 18 } },
+            strokeWidth: 1,
+            lifeline: { dasharray: "2, 3" },
+            activation: { fill: "#fff" },
+            fragment: { radius: 4 }
+        }
+    };
+
+    // "skinparam" names (case-insensitive, as in PlantUML) and the theme settings they change
+    static SKINPARAMS = {
+        backgroundColor: ["background"],
+        defaultFontName: ["font.family"],
+        defaultFontSize: ["font.size"],
+        roundCorner: ["participant.radius", "ref.radius", "state.radius", "fragment.radius", "legend.radius", "box.radius"],
+        participantBackgroundColor: ["participant.fill"],
+        participantBorderColor: ["participant.stroke"],
+        participantFontColor: ["participant.text"],
+        participantFontName: ["fonts.participant.family"],
+        participantFontSize: ["fonts.participant.size"],
+        lifeLineBorderColor: ["lifeline.stroke"],
+        lifeLineBackgroundColor: ["activation.fill"],
+        arrowColor: ["message.stroke"],
+        arrowFontColor: ["message.text"],
+        arrowFontName: ["fonts.message.family"],
+        arrowFontSize: ["fonts.message.size"],
+        arrowThickness: ["strokeWidth"],
+        noteBackgroundColor: ["note.fill"],
+        noteBorderColor: ["note.stroke"],
+        noteFontColor: ["note.text"],
+        noteFontName: ["fonts.note.family"],
+        noteFontSize: ["fonts.note.size"],
+        sequenceReferenceBackgroundColor: ["ref.fill"],
+        sequenceReferenceBorderColor: ["ref.stroke"],
+        sequenceGroupBackgroundColor: ["fragment.fill"],
+        sequenceGroupBorderColor: ["fragment.stroke"],
+        sequenceGroupFontColor: ["fragment.text"],
+        sequenceGroupFontName: ["fonts.fragment.family"],
+        sequenceGroupFontSize: ["fonts.fragment.size"],
+        titleFontColor: ["title.text"],
+        titleFontName: ["fonts.title.family"],
+        titleFontSize: ["fonts.title.size"],
+        headerFontColor: ["header.text"],
+        headerFontName: ["fonts.header.family"],
+        headerFontSize: ["fonts.header.size"],
+        footerFontColor: ["footer.text"],
+        footerFontName: ["fonts.footer.family"],
+        footerFontSize: ["fonts.footer.size"],
+        captionFontColor: ["caption.text"],
+        captionFontName: ["fonts.caption.family"],
+        captionFontSize: ["fonts.caption.size"],
+        legendBackgroundColor: ["legend.fill"],
+        legendBorderColor: ["legend.stroke"],
+        legendFontColor: ["legend.text"],
+        legendFontName: ["fonts.legend.family"],
+        legendFontSize: ["fonts.legend.size"],
+        sequenceDividerBackgroundColor: ["divider.fill"],
+        sequenceDividerBorderColor: ["divider.stroke"],
+        sequenceDividerFontColor: ["divider.text"],
+        sequenceDividerFontName: ["fonts.divider.family"],
+        sequenceDividerFontSize: ["fonts.divider.size"],
+        sequenceDelayFontColor: ["delay.text"],
+        sequenceDelayFontName: ["fonts.delay.family"],
+        sequenceDelayFontSize: ["fonts.delay.size"],
+        sequenceBoxBackgroundColor: ["box.fill"],
+        sequenceBoxBorderColor: ["box.stroke"],
+        sequenceBoxFontColor: ["box.text"],
+        sequenceBoxFontName: ["fonts.box.family"],
+        sequenceBoxFontSize: ["fonts.box.size"]
+    };
+
+    // Color names that may follow "#" in a script, besides hex colors such as "#f80", with their hex values for
+    // renderers that do not know them (see local-sequence-diagrams-png.js)
+    static NAMED_COLORS = {
+        aliceblue: "#f0f8ff", antiquewhite: "#faebd7", aqua: "#00ffff", aquamarine: "#7fffd4", azure: "#f0ffff",
+        beige: "#f5f5dc", bisque: "#ffe4c4", black: "#000000", blanchedalmond: "#ffebcd", blue: "#0000ff",
+        blueviolet: "#8a2be2", brown: "#a52a2a", burlywood: "#deb887", cadetblue: "#5f9ea0", chartreuse: "#7fff00",
+        chocolate: "#d2691e", coral: "#ff7f50", cornflowerblue: "#6495ed", cornsilk: "#fff8dc", crimson: "#dc143c",
+        cyan: "#00ffff", darkblue: "#00008b", darkcyan: "#008b8b", darkgoldenrod: "#b8860b", darkgray: "#a9a9a9",
+        darkgreen: "#006400", darkgrey: "#a9a9a9", darkkhaki: "#bdb76b", darkmagenta: "#8b008b",
+        darkolivegreen: "#556b2f", darkorange: "#ff8c00", darkorchid: "#9932cc", darkred: "#8b0000",
+        darksalmon: "#e9967a", darkseagreen: "#8fbc8f", darkslateblue: "#483d8b", darkslategray: "#2f4f4f",
+        darkslategrey: "#2f4f4f", darkturquoise: "#00ced1", darkviolet: "#9400d3", deeppink: "#ff1493",
+        deepskyblue: "#00bfff", dimgray: "#696969", dimgrey: "#696969", dodgerblue: "#1e90ff", firebrick: "#b22222",
+        floralwhite: "#fffaf0", forestgreen: "#228b22", fuchsia: "#ff00ff", gainsboro: "#dcdcdc",
+        ghostwhite: "#f8f8ff", gold: "#ffd700", goldenrod: "#daa520", gray: "#808080", green: "#008000",
+        greenyellow: "#adff2f", grey: "#808080", honeydew: "#f0fff0", hotpink: "#ff69b4", indianred: "#cd5c5c",
+        indigo: "#4b0082", ivory: "#fffff0", khaki: "#f0e68c", lavender: "#e6e6fa", lavenderblush: "#fff0f5",
+        lawngreen: "#7cfc00", lemonchiffon: "#fffacd", lightblue: "#add8e6", lightcoral: "#f08080",
+        lightcyan: "#e0ffff", lightgoldenrodyellow: "#fafad2", lightgray: "#d3d3d3", lightgreen: "#90ee90",
+        lightgrey: "#d3d3d3", lightpink: "#ffb6c1", lightsalmon: "#ffa07a", lightseagreen: "#20b2aa",
+        lightskyblue: "#87cefa", lightslategray: "#778899", lightslategrey: "#778899", lightsteelblue: "#b0c4de",
+        lightyellow: "#ffffe0", lime: "#00ff00", limegreen: "#32cd32", linen: "#faf0e6", magenta: "#ff00ff",
+        maroon: "#800000", mediumaquamarine: "#66cdaa", mediumblue: "#0000cd", mediumorchid: "#ba55d3",
+        mediumpurple: "#9370db", mediumseagreen: "#3cb371", mediumslateblue: "#7b68ee", mediumspringgreen: "#00fa9a",
+        mediumturquoise: "#48d1cc", mediumvioletred: "#c71585", midnightblue: "#191970", mintcream: "#f5fffa",
+        mistyrose: "#ffe4e1", moccasin: "#ffe4b5", navajowhite: "#ffdead", navy: "#000080", oldlace: "#fdf5e6",
+        olive: "#808000", olivedrab: "#6b8e23", orange: "#ffa500", orangered: "#ff4500", orchid: "#da70d6",
+        palegoldenrod: "#eee8aa", palegreen: "#98fb98", paleturquoise: "#afeeee", palevioletred: "#db7093",
+        papayawhip: "#ffefd5", peachpuff: "#ffdab9", peru: "#cd853f", pink: "#ffc0cb", plum: "#dda0dd",
+        powderblue: "#b0e0e6", purple: "#800080", rebeccapurple: "#663399", red: "#ff0000", rosybrown: "#bc8f8f",
+        royalblue: "#4169e1", saddlebrown: "#8b4513", salmon: "#fa8072", sandybrown: "#f4a460", seagreen: "#2e8b57",
+        seashell: "#fff5ee", sienna: "#a0522d", silver: "#c0c0c0", skyblue: "#87ceeb", slateblue: "#6a5acd",
+        slategray: "#708090", slategrey: "#708090", snow: "#fffafa", springgreen: "#00ff7f", steelblue: "#4682b4",
+        tan: "#d2b48c", teal: "#008080", thistle: "#d8bfd8", tomato: "#ff6347", transparent: "#00000000",
+        turquoise: "#40e0d0", violet: "#ee82ee", wheat: "#f5deb3", white: "#ffffff", whitesmoke: "#f5f5f5",
+        yellow: "#ffff00", yellowgreen: "#9acd32"
+    };
+
+    // Symbols of "icon" participants, chosen with "icon Name <$server>".  The SVG path is drawn in a
+    // 24 by 24 box and the ASCII art has three rows of five characters.  More can be added here.
+    static ICONS = {
+        generic: {
+            path: "M4 4h16v16h-16z M9 12a3 3 0 1 0 6 0a3 3 0 1 0 -6 0",
+            ascii: ["┌───┐", "│ o │", "└───┘"]
+        },
+        server: {
+            path: "M5 3h14v6h-14z M5 9h14v6h-14z M5 15h14v6h-14z M8 6h2 M8 12h2 M8 18h2",
+            ascii: ["┌───┐", "├───┤", "└───┘"]
+        },
+        cloud: {
+            path: "M7 19h10a4 4 0 0 0 0-8a6 6 0 0 0-11.5-1.5A4.5 4.5 0 0 0 7 19z",
+            ascii: [" .-. ", "(   )", " `-' "]
+        },
+        mail: {
+            path: "M3 6h18v12h-18z M3 6l9 7l9-7",
+            ascii: ["┌───┐", "│\\_/│", "└───┘"]
+        }
+    };
+
+    constructor(doc = null, serializer = null, colorForeground = null, colorBackground = null, theme = "light") {
+        this.doc = doc || (typeof document !== "undefined" ? document : new VirtualSvgDocument());
+        this.serializer = serializer || (typeof XMLSerializer !== "undefined" ? new XMLSerializer() : new VirtualSvgSerializer());
+        this.setTheme(theme, colorForeground, colorBackground);
+    }
+
+    // Selects a theme by name, or takes an object that overrides parts of a preset named in its "preset"
+    // property ("light" by default).  Explicit colors take precedence over the theme's own.
+    setTheme(theme = "light", colorForeground = null, colorBackground = null) {
+        const name = (typeof theme === "string") ? theme : (theme.preset || "light");
+        if (!LocalSequenceDiagrams.THEMES[name]) {
+            throw new Error(`Unknown theme '${name}', expected one of ${Object.keys(LocalSequenceDiagrams.THEMES).join(", ")}`);
+        }
+
+        this.theme = this.mergeTheme(LocalSequenceDiagrams.THEMES.light, LocalSequenceDiagrams.THEMES[name]);
+        if (typeof theme === "object") {
+            this.theme = this.mergeTheme(this.theme, theme);
+        }
+        this.theme.foreground = colorForeground || this.theme.foreground;
+        this.theme.background = colorBackground || this.theme.background;
+        return this;
+    }
+
+    applySkinparams(theme, events) {
+        // Known settings with valid values override the theme, anything else was already reported by the parser
+        for (const e of events.filter(e => e.type === 'skinparam')) {
+            const setting = Object.keys(LocalSequenceDiagrams.SKINPARAMS).find(key => key.toLowerCase() === e.name.toLowerCase());
+            for (const path of setting ? LocalSequenceDiagrams.SKINPARAMS[setting] : []) {
+                const value = this.parseSkinparamValue(path, e.value);
+                if (value !== null) {
+                    const override = path.split('.').reduceRight((inner, key) => ({ [key]: inner }), value);
+                    theme = this.mergeTheme(theme, override);
+                }
+            }
+        }
+        return theme;
+    }
+
+    mergeTheme(base, override) {
+        const merged = { ...base };
+        for (const key in override) {
+            const value = override[key];
+            const isObject = value !== null && typeof value === "object";
+            merged[key] = (isObject && typeof base[key] === "object" && base[key] !== null) ? this.mergeTheme(base[key], value) : value;
+        }
+        return merged;
     }
 
     scriptToSvgImage(script) {
@@ -69,122 +315,349 @@ class LocalSequenceDiagrams {
     }
 
     scriptToSvgText(script) {
-        const sizes = {
-            padding: 10,
-            signalMargin: 25,
-            noteMarginX: 10,
-            noteMarginY: 20,
-            noteTextMarginX: 10,
-            noteTextMarginY: 25,
-            altHeaderHeight: 20,
-            altMarginBottom: 10,
-            actorStickmanHeight: 10,
-            calculateTextDimensions: this.calculateTextDimensionsSvg.bind(this)
-        };
+        return this.serializer.serializeToString(this.scriptToSvgElement(script));
+    }
+
+    scriptToSvgElement(script) {
         const { actors, events } = this.parseScriptToArrays(script);
-        const { width, height } = this.calculatePlacements(actors, events, sizes);
-        return this.renderSvgElements(actors, events, width, height, sizes);
+        return this.modelToSvgElement(actors, events);
     }
 
     scriptToAsciiArt(script) {
+        const { actors, events } = this.parseScriptToArrays(script);
+        return this.modelToAsciiArt(actors, events);
+    }
+
+    modelToSvgText(actors, events) {
+        return this.serializer.serializeToString(this.modelToSvgElement(actors, events));
+    }
+
+    modelToSvgElement(actors, events) {
+        // "skinparam" lines change the theme of this diagram only
+        const theme = this.theme;
+        this.theme = this.applySkinparams(theme, events);
+        try {
+            // The fragment header and the first line of a note follow the size of their fonts
+            const sizes = {
+                padding: 10,
+                signalMargin: 25,
+                noteMarginX: 10,
+                noteMarginY: 20,
+                lifelineWidth: 0,
+                noteTextMarginX: 10,
+                noteTextMarginY: 12 + this.themeFontAscent("note"),
+                altHeaderHeight: Math.round(1.25 * this.themeFont("fragment").size),
+                altMarginBottom: 10,
+                fragmentInset: 5,
+                dividerPadding: 5,
+                spaceHeight: 20,
+                spacePerPixel: 1,
+                actorStickmanHeight: 10,
+                // Room taken by the outline of the other shapes, which also moves the caption
+                participantShapes: {
+                    database: { width: 0, height: 12, textX: 0, textY: 12 },
+                    queue: { width: 15, height: 0, textX: 5, textY: 0 },
+                    collections: { width: 4, height: 4, textX: 0, textY: 4 }
+                },
+                activationWidth: 10,
+                activationOffset: 5,
+                signalLineOffset: 10,
+                selfLoopWidth: 40,
+                selfLoopHeight: 20,
+                messageAscent: this.themeFontAscent("message"),
+                calculateTextDimensions: this.calculateTextDimensionsSvg.bind(this)
+            };
+            const { width, height } = this.calculatePlacements(actors, events, sizes);
+
+            // Without a background color in the script the diagram stays transparent
+            const background = (this.theme.background !== theme.background) ? this.theme.background : null;
+            return this.renderSvgElements(actors, events, width, height, sizes, background);
+        }
+        finally {
+            this.theme = theme;
+        }
+    }
+
+    modelToAsciiArt(actors, events) {
         const sizes = {
             padding: 1,
             signalMargin: 2,
             noteMarginX: 1,
             noteMarginY: 1,
+            // A lifeline takes a column of its own
+            lifelineWidth: 1,
             noteTextMarginX: 1,
             noteTextMarginY: 1,
             altHeaderHeight: 3,
             altMarginBottom: 2,
+            fragmentInset: 1,
+            dividerPadding: 0,
+            spaceHeight: 1,
+            spacePerPixel: 1 / 20,
             actorStickmanHeight: 1,
+            participantShapes: {
+                database: { width: 0, height: 1, textX: 0, textY: 1 },
+                queue: { width: 2, height: 0, textX: 0, textY: 0 },
+                collections: { width: 1, height: 1, textX: 0, textY: 1 }
+            },
+            activationWidth: 0,
+            activationOffset: 1,
+            signalLineOffset: 0,
+            selfLoopWidth: 4,
+            selfLoopHeight: 1,
+            messageAscent: 0,
             calculateTextDimensions: this.calculateTextDimensionsAscii.bind(this)
         };
-        const { actors, events } = this.parseScriptToArrays(script);
         const { width, height } = this.calculatePlacements(actors, events, sizes);
         return this.renderAsciiElements(actors, events, width, height);
     }
 
+    createBuilder() {
+        return new SequenceDiagramBuilder(this);
+    }
+
+    getDiagnostics(script) {
+        return this.parseScriptToArrays(script).diagnostics;
+    }
+
     parseScriptToArrays(script) {
         // Keyword commands
-        const participants = ['participant','actor'];
+        const participants = ['participant','actor','boundary','control','entity','database','queue','collections','icon'];
         const annotations = ['note','ref','state'];
         const synchrony = ['parallel','serial'];
         const lifetime = ['activate','deactivate','destroy'];
         const conditionalGroupings = ['alt','opt','loop','par','seq'];
+        const decorations = ['title','header','footer','caption','legend'];
+        const boxes = ['box','group'];
+
+        const keywords = [...participants, ...annotations, ...synchrony, ...lifetime, ...conditionalGroupings, ...decorations, ...boxes, 'end', 'else', 'autonumber', 'skinparam', 'hide', 'show'];
 
         const actors = [];
         const events = [];
         const eventStack = [events];
 
+        // Problems are reported with a 1-based line and column rather than silently dropping the line.
+        // The block stack remembers where each open block started so unclosed blocks can be reported.
+        const diagnostics = [];
+        const blockStack = [];
+        const participantReferences = [];
+        const decorationLines = {};
+        let openBox = null;  // the box that participants are declared in, until "end box"
+        let lineNumber = 0;
+        let column = 1;
+        const diagnose = (severity, message, fix, at = { line: lineNumber, column }) => {
+            diagnostics.push({ line: at.line, column: at.column, severity, message, fix });
+        };
+
         const lines = script.split('\n');
         for (const line of lines) {
             const trimmedLine = line.trim();
+            lineNumber++;
+            column = line.length - line.trimStart().length + 1;
 
             let spaceIndex = trimmedLine.indexOf(' ');
             let command = spaceIndex == -1 ? trimmedLine : trimmedLine.slice(0, spaceIndex);
-            let text = trimmedLine.slice(spaceIndex + 1);
+            let text = spaceIndex == -1 ? '' : trimmedLine.slice(spaceIndex + 1);
+
+            // "left header" and "right footer" put the alignment first
+            const aligned = ['left', 'right', 'center'].includes(command) && text.match(/^(header|footer)\b\s*(.*)$/);
+            const alignFirst = aligned ? command : null;
+            if (aligned) {
+                [, command, text] = aligned;
+            }
+
+            // A box only holds participant declarations
+            if (openBox && trimmedLine && !participants.includes(command) && command !== 'end' && !command.startsWith('#')) {
+                diagnose('error', `Only participants can be declared inside the '${openBox.command}' opened on line ${openBox.line}`, "Move this line after 'end box'");
+            }
 
             // GROUPINGS
 
-            // "end" can terminate annotations or conditional groupings
+            // "end" can terminate annotations, conditional groupings or boxes
             if (command === 'end') {
-                if (eventStack.length > 1) {
-                    eventStack.pop();
+                const block = blockStack.at(-1);
+                if (!block) {
+                    diagnose('error', "'end' does not close any block", "Remove this line");
+                }
+                else if (synchrony.includes(block.command)) {
+                    diagnose('error', `'${block.command}' block opened on line ${block.line} must be closed with '}'`, "Replace 'end' with '}'");
+                }
+                else if (boxes.includes(block.command)) {
+                    blockStack.pop();
+                    openBox = null;
                 }
+                else {
+                    blockStack.pop();
+                    if (eventStack.length > 1) {
+                        eventStack.pop();
+                    }
 
-                // Conditional groupings are double nested on the event stack
-                if (conditionalGroupings.includes(eventStack.at(-1).type)) {
-                    eventStack.pop();
+                    // Conditional groupings are double nested on the event stack
+                    if (conditionalGroupings.includes(eventStack.at(-1).type)) {
+                        eventStack.pop();
+                    }
                 }
             }
 
             // ANNOTATIONS
 
             // if the current item in the stack is an annotation, that means we are collecting multi-line text
-            else if (annotations.includes(eventStack.at(-1).type)) {
+            else if (annotations.includes(eventStack.at(-1).type) || decorations.includes(eventStack.at(-1).type)) {
                 eventStack.at(-1).caption += trimmedLine + '\n';
             }
             else if (annotations.includes(command)) {
-                let [location, caption] = text.split(':');
-                const [align, where, src] = location.split(' ');
+                let [location, caption] = this.splitOnColonEscaped(text);
+                const [place, color] = this.splitColor(location);
+                const { align, src, dest } = this.parseNoteLocation(place, command === 'note' ? 'right' : 'over');
 
                 // If the ":" is not present, that means multi-line mode.
                 // Start as an empty string and push to the event stack
                 let multiline = !caption;
-                caption = (caption || "").trim();
+                caption = this.unquoteCaption((caption || "").trim());
 
-                let note = { type: command, caption, align, src };
+                let note = { type: command, caption, align, src: this.resolveAlias(actors, src) };
+                if (dest !== undefined) {
+                    note.dest = this.resolveAlias(actors, dest);
+                }
+                if (color) {
+                    note.color = color;
+                }
                 eventStack.at(-1).push(note);
+                participantReferences.push({ event: note, list: eventStack.at(-1), line: lineNumber, column });
 
                 if (multiline) {
                     eventStack.push(note);
+                    blockStack.push({ command, line: lineNumber, column });
+                }
+            }
+
+            // SEPARATORS
+
+            // "== Phase 2 ==" divides the diagram, "..." or "...5 minutes later..." is a delay and "|||" or "||45||" adds space
+            else if (/^==.*==$/.test(trimmedLine)) {
+                eventStack.at(-1).push({ type: 'divider', caption: trimmedLine.replace(/^==+\s*|\s*==+$/g, '') });
+            }
+            else if (trimmedLine.startsWith('...')) {
+                eventStack.at(-1).push({ type: 'delay', caption: trimmedLine.replace(/^\.{3,}\s*|\s*\.{3,}$/g, '') });
+            }
+            else if (/^\|\|\|$|^\|\|\d+\|\|$/.test(trimmedLine)) {
+                const space = { type: 'space' };
+                if (trimmedLine !== '|||') {
+                    space.size = parseInt(trimmedLine.slice(2, -2), 10);
+                }
+                eventStack.at(-1).push(space);
+            }
+
+            // DECORATIONS
+
+            else if (decorations.includes(command)) {
+                // "legend right" is aligned like "right header", and without any text the lines up to "end" are the caption
+                const alignLast = (command === 'legend') && text.match(/^(left|right|center)\b\s*(.*)$/);
+                const caption = alignLast ? alignLast[2] : text.trim();
+                const decoration = { type: command, caption };
+                if (command === 'header' || command === 'footer' || command === 'legend') {
+                    decoration.align = alignFirst || (alignLast && alignLast[1]) || (command === 'header' ? 'right' : 'center');
+                }
+
+                if (eventStack.length > 1) {
+                    diagnose('error', `'${command}' applies to the whole diagram and cannot be inside a block`, "Move this line out of the block");
+                }
+                else {
+                    if (decorationLines[command]) {
+                        diagnose('warning', `The diagram already has a ${command} on line ${decorationLines[command]}`, "Only the last one is drawn");
+                    }
+                    decorationLines[command] = lineNumber;
+                    events.push(decoration);
+                }
+                if (!caption) {
+                    eventStack.push(decoration);
+                    blockStack.push({ command, line: lineNumber, column });
                 }
             }
 
             // PARTICIPANTS
 
+            else if (boxes.includes(command)) {
+                // 'box "Backend" #eee' groups the participants declared up to "end box"
+                const [caption, color] = this.splitColor(text.trim());
+                if (eventStack.length > 1) {
+                    diagnose('error', `'${command}' groups participants and cannot be inside a block`, "Move this line out of the block");
+                }
+                else if (!openBox) {
+                    const box = { type: 'box', caption: this.unquoteCaption(caption), participants: [] };
+                    if (color) {
+                        box.color = color;
+                    }
+                    events.push(box);
+                    openBox = { command, line: lineNumber, box };
+                }
+                blockStack.push({ command, line: lineNumber, column });
+            }
             else if (participants.includes(command)) {
-                let [caption, alias] = text.split(' as ');
+                const [declaration, color] = this.splitColor(text);
+                const [, named, icon] = declaration.match(/^(.*?)\s*(?:<\$([\w-]+)>)?\s*$/);
+                let [caption, alias] = this.parseParticipantDeclaration(named);
                 if (!alias) alias = caption;
-                actors.push({ type: command, caption, alias });
+
+                if (icon && command !== 'icon') {
+                    diagnose('warning', `Only 'icon' participants show an icon`, `Replace '${command}' with 'icon'`);
+                }
+                else if (icon && !LocalSequenceDiagrams.ICONS[icon]) {
+                    const suggestion = this.findClosestWord(icon, Object.keys(LocalSequenceDiagrams.ICONS));
+                    diagnose('warning', `Unknown icon '${icon}', the generic icon is drawn instead`,
+                        suggestion ? `Did you mean '${suggestion}'?` : `Use one of ${Object.keys(LocalSequenceDiagrams.ICONS).join(', ')}`);
+                }
+
+                // Comments directly above a declaration belong to it
+                const comments = [];
+                while (eventStack.length == 1 && events.length > 0 && events.at(-1).type === 'comment') {
+                    comments.unshift(events.pop().caption);
+                }
+
+                // A participant that was already used in a signal keeps its position
+                let existing = actors.find(a => a.alias === alias);
+                if (existing) {
+                    Object.assign(existing, { type: command, caption });
+                } else {
+                    existing = { type: command, caption, alias };
+                    actors.push(existing);
+                }
+                if (comments.length > 0) {
+                    existing.comments = (existing.comments || []).concat(comments);
+                }
+                if (color) {
+                    existing.color = color;
+                }
+                if (icon && command === 'icon') {
+                    existing.icon = icon;
+                }
+                if (openBox) {
+                    openBox.box.participants.push(alias);
+                }
             }
 
             // CONDITIONAL GROUPINGS
 
             else if (conditionalGroupings.includes(command)) {
-                let alt = { type: command, cases: [{ caption: text, events: [] }] };
+                const [guard, color] = this.splitColor(text, true);
+                let alt = { type: command, cases: [{ caption: this.trimGuard(guard), events: [] }] };
+                if (color) {
+                    alt.color = color;
+                }
                 eventStack.at(-1).push(alt);
                 eventStack.push(alt);
                 eventStack.push(alt.cases[0].events);
+                blockStack.push({ command, line: lineNumber, column });
             }
             else if (command === 'else') {
-                if (eventStack.length > 1) {
-                    eventStack.pop();
-                }
-
                 // ensure that the active level is of type conditionalGroupings
-                if (conditionalGroupings.includes(eventStack.at(-1).type)) {
-                    let c = { caption: text, events: [] };
+                const block = blockStack.at(-1);
+                if (!block || !conditionalGroupings.includes(block.command)) {
+                    diagnose('error', `'else' must be inside one of ${conditionalGroupings.map(c => `'${c}'`).join(', ')}`, "Remove this line or open a block before it");
+                }
+                else {
+                    eventStack.pop();
+                    let c = { caption: this.trimGuard(text), events: [] };
                     eventStack.at(-1).cases.push(c);
                     eventStack.push(c.events);
                 }
@@ -193,7 +666,9 @@ class LocalSequenceDiagrams {
             // LIFETIME
 
             else if (lifetime.includes(command)) {
-                eventStack.at(-1).push({ type: command, cases: [{ caption: text, events: [] }] });
+                let e = { type: command, src: this.resolveAlias(actors, this.unquoteName(text.trim())) };
+                eventStack.at(-1).push(e);
+                participantReferences.push({ event: e, list: eventStack.at(-1), line: lineNumber, column });
             }
 
             // LAYOUT CONTROLS
@@ -202,9 +677,18 @@ class LocalSequenceDiagrams {
                 let e = { type: command, events: [] };
                 eventStack.at(-1).push(e);
                 eventStack.push(e.events);
+                blockStack.push({ command, line: lineNumber, column });
             }
             else if (command === '}') {
-                if (eventStack.length > 1) {
+                const block = blockStack.at(-1);
+                if (!block) {
+                    diagnose('error', "'}' does not close any block", "Remove this line");
+                }
+                else if (!synchrony.includes(block.command)) {
+                    diagnose('error', `'${block.command}' block opened on line ${block.line} must be closed with 'end'`, "Replace '}' with 'end'");
+                }
+                else {
+                    blockStack.pop();
                     eventStack.pop();
                 }
             }
@@ -212,12 +696,51 @@ class LocalSequenceDiagrams {
             // NUMBERING
 
             else if (command === 'autonumber') {
-                eventStack.at(-1).push({ type: command, start: text });
+                eventStack.at(-1).push(this.parseAutonumber(text));
+            }
+
+            // STYLING
+
+            else if (command === 'skinparam') {
+                const [, name, value] = text.trim().match(/^(\S*)\s*(.*)$/);
+                const setting = Object.keys(LocalSequenceDiagrams.SKINPARAMS).find(key => key.toLowerCase() === name.toLowerCase());
+                if (eventStack.length > 1) {
+                    diagnose('error', "'skinparam' applies to the whole diagram and cannot be inside a block", "Move this line to the top of the script");
+                }
+                else if (!name || !value) {
+                    diagnose('error', "'skinparam' needs a name and a value", "Write it as 'skinparam arrowColor #red'");
+                }
+                else {
+                    if (!setting) {
+                        const suggestion = this.findClosestWord(name, Object.keys(LocalSequenceDiagrams.SKINPARAMS));
+                        diagnose('warning', `Unknown skinparam '${name}'`, suggestion ? `Did you mean '${suggestion}'?` : "This line has no effect");
+                    }
+                    else if (this.parseSkinparamValue(LocalSequenceDiagrams.SKINPARAMS[setting][0], value) === null) {
+                        diagnose('warning', `'${value}' is not a valid value for '${setting}'`, "This line has no effect");
+                    }
+                    events.push({ type: 'skinparam', name, value });
+                }
+            }
+            else if (command === 'hide' || command === 'show') {
+                // Only the participants at the bottom of the lifelines can be hidden or shown
+                if (eventStack.length > 1) {
+                    diagnose('error', `'${command}' applies to the whole diagram and cannot be inside a block`, "Move this line to the top of the script");
+                }
+                else if (text.trim() !== 'footbox') {
+                    diagnose('warning', `'${command} ${text.trim()}' is not supported`, `Only '${command} footbox' is, this line has no effect`);
+                }
+                else {
+                    events.push({ type: 'footbox', visible: command === 'show' });
+                }
             }
 
             // COMMENTS
 
             else if (command.startsWith('#')) {
+                // Kept in the events so that formatting the script preserves them, drawing ignores them
+                eventStack.at(-1).push({ type: 'comment', caption: trimmedLine.slice(1) });
+            }
+            else if (trimmedLine === '') {
                 // ignore
             }
 
@@ -225,12 +748,31 @@ class LocalSequenceDiagrams {
 
             else {
                 let [srcDest, caption] = this.splitOnColonEscaped(trimmedLine);
-                let [src, dest] = srcDest.split('->');
 
-                if (caption && dest) {
-                    caption = caption.trim();
-                    dest = dest.trim().replace(/"/g,'');
-                    src = src.trim().replace(/"/g,'');
+                // "-\" and "-/" are arrows with half a head, in place of the ">" of "->"
+                const arrow = srcDest.match(/-(>|\\|\/)/);
+                let [src, dest] = arrow ? [srcDest.slice(0, arrow.index), srcDest.slice(arrow.index + 2)] : [srcDest, undefined];
+
+                if (dest === undefined) {
+                    const suggestion = this.findClosestWord(command, keywords);
+                    diagnose('error', `Unknown command '${command}'`,
+                        suggestion ? `Did you mean '${suggestion}'?` : "Messages are written as 'A->B: caption'");
+                }
+                else if (!src.trim() || !dest.trim().replace(/^[>*+-]+/, '')) {
+                    diagnose('error', "Message is missing its source or destination", "Messages are written as 'A->B: caption'");
+                }
+                else if (!caption && srcDest.length === trimmedLine.length) {
+                    // "A->B:" is a message without a caption, but a missing ":" is usually a mistake
+                    diagnose('error', "Message is missing a caption", "Add ': caption' after the destination");
+                }
+                else {
+                    let color;
+                    [caption, color] = this.splitColor(caption.trim());
+                    caption = this.unquoteCaption(caption);
+
+                    // The arrow is taken apart before the quotes are dropped, so that a quoted name is never part of it
+                    dest = dest.trim();
+                    src = src.trim();
 
                     let dotted = false;
                     if (src.endsWith('-')) {
@@ -238,12 +780,26 @@ class LocalSequenceDiagrams {
                         dotted = true;
                     }
 
+                    // "<->" points both ways
+                    let twoWay = false;
+                    if (src.endsWith('<')) {
+                        src = src.slice(0, -1).trim();
+                        twoWay = true;
+                    }
+
                     let open = false;
-                    if (dest.startsWith('>')) {
+                    if (arrow[1] == '>' && dest.startsWith('>')) {
                         dest = dest.slice(1);
                         open = true;
                     }
 
+                    // "->x B" is crossed out where it fails, "->x]" is lost on its way to the border
+                    let failed = false;
+                    if (/^x(?=\s|\]$)/.test(dest)) {
+                        dest = dest.slice(1).trimStart();
+                        failed = true;
+                    }
+
                     let newActor = false;
                     if (dest.startsWith('*')) {
                         dest = dest.slice(1);
@@ -262,780 +818,3897 @@ class LocalSequenceDiagrams {
                         isDeactivated = true;
                     }
 
-                    eventStack.at(-1).push({ type: 'signal', caption, src, dest, dotted, open });
+                    src = this.resolveAlias(actors, this.unquoteName(src.trim()));
+                    dest = this.resolveAlias(actors, this.unquoteName(dest.trim()));
+
+                    // "[" and "]" are the left and right border of the diagram, found messages come from there
+                    if (this.isBorder(src) && this.isBorder(dest)) {
+                        diagnose('error', "A message needs a participant at one of its ends", "Replace '[' or ']' with a participant");
+                        continue;
+                    }
+                    if ((this.isBorder(dest) && (newActor || isActivated)) || (this.isBorder(src) && isDeactivated)) {
+                        diagnose('error', "The border of the diagram cannot be created, activated or deactivated", "Remove the '*', '+' or '-' after the arrow");
+                        [newActor, isActivated, isDeactivated] = [false, false, false];
+                    }
+
+                    const signal = { type: 'signal', caption, src, dest, dotted, open, create: newActor };
+                    if (twoWay) {
+                        signal.twoWay = true;
+                    }
+                    if (arrow[1] != '>') {
+                        signal.half = (arrow[1] == '\\') ? 'upper' : 'lower';
+                    }
+                    if (failed) {
+                        signal.failed = true;
+                    }
+                    if (color) {
+                        signal.color = color;
+                    }
+                    eventStack.at(-1).push(signal);
 
                     if (isActivated) {
                         eventStack.at(-1).push({ type: 'activate', src: dest });
                     }
 
+                    // "->-" ends the activation of the sender, e.g. a return message
                     if (isDeactivated) {
-                        eventStack.at(-1).push({ type: 'deactivate', src: dest });
+                        eventStack.at(-1).push({ type: 'deactivate', src: src });
                     }
 
                     // If the source or destination is not yet in the actors array, add it
 
-                    if (!actors.find(a => a.caption === src)) {
-                        actors.push({ type: 'participant', caption: src });
+                    if (!this.isBorder(src) && !actors.find(a => a.alias === src)) {
+                        actors.push({ type: 'participant', caption: src, alias: src });
                     }
-                    if (!actors.find(a => a.caption === dest)) {
-                        actors.push({ type: 'participant', caption: dest });
+                    if (!this.isBorder(dest) && !actors.find(a => a.alias === dest)) {
+                        actors.push({ type: 'participant', caption: dest, alias: dest });
+                    }
+
+                    // "->*" creates the destination, so its header is drawn at the height of this message
+                    if (newActor) {
+                        actors.find(a => a.alias === dest).created = true;
                     }
                 }
             }
         }
 
-        return { actors, events };
-    }
-
-    // Utilities
-
-    splitOnColonEscaped(input) {
-        for (let i = 0, quoted = false; i < input.length; i++) {
-            if (input[i] === '"') {
-                quoted = !quoted;
+        // Anything still open at the end of the script was never closed
 
-            } else if (input[i] === ':' && !quoted) {
-                return [input.slice(0, i), input.slice(i+1)];
+        for (const block of blockStack) {
+            if (annotations.includes(block.command) || decorations.includes(block.command)) {
+                diagnose('error', `Multi-line ${block.command} is never closed`, "Add 'end' after the text", block);
+            } else {
+                diagnose('error', `'${block.command}' block is never closed`, `Add '${synchrony.includes(block.command) ? '}' : 'end'}'`, block);
             }
         }
 
-        return [input, ""];
-    }
-
-    // Calculations
+        // Participants may be declared after they are referenced, so they are checked once all are known
+
+        // Unknown participants are still added at the end, like the participants of a message,
+        // so that the diagram can be drawn and formatting does not lose the line
+        const knownAliases = actors.map(a => a.alias);
+        for (const reference of participantReferences) {
+            for (const name of [reference.event.src, reference.event.dest]) {
+                if (name && !knownAliases.includes(name)) {
+                    const suggestion = this.findClosestWord(name, knownAliases);
+                    diagnose('warning', `'${reference.event.type}' refers to unknown participant '${name}'`,
+                        suggestion ? `Did you mean '${suggestion}'?` : `Declare it with 'participant ${name}'`, reference);
+                    if (!actors.find(a => a.alias === name)) {
+                        actors.push({ type: 'participant', caption: name, alias: name });
+                    }
+                }
+            }
+            if (!reference.event.src) {
+                diagnose('error', `'${reference.event.type}' does not name a participant`, `Add a participant, e.g. '${reference.event.type} over A'`, reference);
+                reference.list.splice(reference.list.indexOf(reference.event), 1);
+            }
+        }
 
-    calculatePlacements(actors, events, sizes) {
-        const actorDict = actors.reduce((dict, val, idx) => { dict[val.caption] = [val, idx]; return dict; }, {});
-        const gaps = Array.from({ length: actors.length + 1 }, () => 0);
+        diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
 
-        // Calculate ACTOR gaps and widths
+        return { actors, events, diagnostics };
+    }
 
-        for (let i = 0; i < actors.length; i++) {
-            const actor = actors[i];
-            const bbox = sizes.calculateTextDimensions(actor.caption);
-            const extraHeight = (actor.type === "actor") ? sizes.actorStickmanHeight : 0;
+    // Embedded scripts
+
+    extractEmbeddedScripts(text) {
+        // Finds scripts embedded in other files, either between <sequence> or <diagram> tags in
+        // comments of source code ("//", "#", "--" or "/* */" comments, like the example at the
+        // top of this file) or in fenced Markdown code blocks (```sequence ... ```).  A block may
+        // start with ASCII art that ends at the EMBEDDED_SEPARATOR line, and the script follows it.
+        const lines = text.split(/\r?\n/);
+        const blocks = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const tag = lines[i].match(/^(.*?)<(sequence|diagram)>\s*$/);
+            const fence = lines[i].match(/^(\s*)(`{3,}|~{3,})\s*(sequence|sd)\s*$/);
+            if (!tag && !fence) {
+                continue;
+            }
 
-            actor.height = bbox.height + 2 * sizes.padding + extraHeight;
-            actor.width = bbox.width + 2 * sizes.padding;
+            const end = tag
+                ? lines.findIndex((line, j) => j > i && line.includes(`</${tag[2]}>`))
+                : lines.findIndex((line, j) => j > i && line.trim() === fence[2]);
+            if (end === -1) {
+                continue;
+            }
 
-            gaps[i] += (actor.width / 2) + sizes.padding;
-            gaps[i+1] += (actor.width / 2) + sizes.padding;
+            // Line comments repeat the opening prefix, block comments usually continue with " * "
+            const openingPrefix = tag ? tag[1] : fence[1];
+            const leader = openingPrefix.trim().replace(/^\/\*+/, '*');
+            const stripPrefix = (line) => {
+                const indent = line.match(/^\s*/)[0];
+                const rest = line.slice(indent.length);
+                if (leader !== '' && rest.startsWith(leader)) {
+                    return [indent + leader + (rest[leader.length] === ' ' ? ' ' : ''), rest.slice(leader.length).replace(/^ /, '')];
+                }
+                // Without a comment leader (Markdown, or inside a block comment) only the indentation is removed
+                const blockIndent = line.slice(0, Math.min(indent.length, openingPrefix.match(/^\s*/)[0].length));
+                return [blockIndent, line.slice(blockIndent.length)];
+            };
+
+            const content = lines.slice(i + 1, end).map(stripPrefix);
+            const separatorIndex = content.findIndex(([, line]) => line.trim() === LocalSequenceDiagrams.EMBEDDED_SEPARATOR);
+            const scriptStart = separatorIndex + 1;
+            const prefix = content.map(([linePrefix]) => linePrefix).reduce((a, b) => (b.length > a.length ? b : a),
+                leader === '' ? openingPrefix : openingPrefix.replace('/*', ' *'));
+
+            blocks.push({
+                type: tag ? tag[2] : 'markdown',
+                startLine: i,
+                endLine: end,
+                scriptLine: i + 1 + scriptStart,
+                prefix,
+                art: content.slice(0, Math.max(0, separatorIndex)).map(([, line]) => line).join('\n').replace(/\s+$/, ''),
+                script: content.slice(scriptStart).map(([, line]) => line).join('\n')
+            });
+            i = end;
         }
 
-        // Calculate EVENT gaps and widths
-        // (Notes and signal captions can affect actor placement)
+        return blocks;
+    }
 
-        let gapMinSizeBetweenLanes = this.calculateLaneGapsAndTextSize(actorDict, events, sizes);
+    updateEmbeddedAsciiArt(text) {
+        // Regenerates the ASCII art above every embedded script, so comments stay in sync with
+        // their script.  The script lines themselves are kept exactly as they were written.
+        const newline = text.includes('\r\n') ? '\r\n' : '\n';
+        const lines = text.split(/\r?\n/);
+        const blocks = this.extractEmbeddedScripts(text);
+
+        for (const block of blocks.reverse()) {
+            const hasSeparator = block.scriptLine > block.startLine + 1;
+            const scriptLines = lines.slice(block.scriptLine, block.endLine);
+            const art = this.scriptToAsciiArt(block.script).replace(/^\s*\n|\s+$/g, '').split('\n').map(line => line.replace(/\s+$/, ''));
+            const generated = [...art, '', LocalSequenceDiagrams.EMBEDDED_SEPARATOR, ...(hasSeparator ? [] : [''])]
+                .map(line => (block.prefix + line).replace(/\s+$/, ''));
+            lines.splice(block.startLine + 1, block.endLine - block.startLine - 1, ...generated, ...scriptLines);
+        }
 
-        // Distribute the needed space between the lanes if there's not enough room
-        // First, CONTIGUOUS and SAME lanes
+        return lines.join(newline);
+    }
 
-        for (let i = 0; i < gapMinSizeBetweenLanes.length; i++) {
-            const g = gapMinSizeBetweenLanes[i];
+    // Formatting
 
-            var idx1 = Math.min(g[0], g[1]);
-            var idx2 = Math.max(g[0], g[1]);
+    formatScript(script) {
+        // Lines with errors are missing from the parsed model, so a script with errors is returned
+        // unchanged rather than losing those lines
+        const { actors, events, diagnostics } = this.parseScriptToArrays(script);
+        if (diagnostics.some(d => d.severity === 'error')) {
+            return script;
+        }
+        return this.modelToScript(actors, events);
+    }
 
-            // Contiguous
-            if (idx1+1 == idx2 && gaps[idx1+1] < g[2]) {
-                gaps[idx1+1] = g[2];
-            }
-            // Same lane
-            if (idx1 == idx2 && gaps[idx1] < g[2]) {
-                gaps[idx1] = g[2];
+    modelToScript(actors, events) {
+        // Writes the canonical script: skinparam and footbox lines and every participant declared up front in the order
+        // of first use, four spaces of indentation per block, and "A->B: caption" without spaces around the arrow
+        const lines = [];
+        // Names are quoted where they would end early, be read as a comment or color ("#"), or as a part of the
+        // arrow, like the "x " of a failed message
+        const name = (alias) => /[:,"]|->|^#|^[>*+-]|^x\s|[<-]$/.test(alias) ? this.quoteName(alias) : alias;
+
+        // Settings for the whole diagram come first, followed by the header and title,
+        // and the legend, caption and footer come last
+        const settings = events.filter(e => e.type === 'skinparam' || e.type === 'footbox')
+            .concat(events.filter(e => e.type === 'header' || e.type === 'title'));
+        const closing = events.filter(e => ['legend', 'caption', 'footer'].includes(e.type));
+        const remaining = events.filter(e => e.type !== 'box').length - settings.length - closing.length;
+        for (const e of settings) {
+            if (this.isDecoration(e)) {
+                lines.push(...this.formatDecoration(e));
+            } else {
+                lines.push(e.type === 'footbox' ? `${e.visible ? 'show' : 'hide'} footbox` : `skinparam ${e.name} ${e.value}`);
             }
         }
+        if (settings.length > 0 && actors.length + remaining + closing.length > 0) {
+            lines.push('');
+        }
 
-        // Distribute the needed space between the lanes if there's not enough room
-        // Second, evenly distribute multi-lane gaps
-
-        for (let i = 0; i < gapMinSizeBetweenLanes.length; i++) {
-            const g = gapMinSizeBetweenLanes[i];
-
-            var idx1 = Math.min(g[0], g[1]);
-            var idx2 = Math.max(g[0], g[1]);
-
-            let totalGap = 0;
-            for (let j = idx1; j < idx2; j++) {
-                totalGap += gaps[j];
+        // The participants of a box are declared together between "box" and "end box"
+        const boxes = this.participantBoxes(events);
+        const boxOf = (actor) => actor && boxes.get(actor.alias);
+        const ordered = this.orderActorsByBox(actors, events);
+        ordered.forEach((actor, i) => {
+            const box = boxOf(actor);
+            const indent = box ? '    ' : '';
+            if (box && box !== boxOf(ordered[i - 1])) {
+                lines.push(this.formatBox(box));
             }
+            (actor.comments || []).forEach(comment => lines.push(indent + '#' + comment));
+            lines.push(indent + this.formatParticipant(actor.type, actor.caption, actor.alias, actor.icon) + this.formatColor(actor.color));
+            if (box && box !== boxOf(ordered[i + 1])) {
+                lines.push('end box');
+            }
+        });
+        if (actors.length > 0 && remaining > 0) {
+            lines.push('');
+        }
 
-            if (idx1+1 < idx2 && gaps[idx1+1] < g[2]) {
-                let extraGap = (g[2] - totalGap) / (idx2 - idx1);
-                if (extraGap > 0) {
-                    for (let j = idx1; j < idx2; j++) {
-                        gaps[j+1] += extraGap;
+        const formatEvents = (list, indent) => {
+            for (let i = 0; i < list.length; i++) {
+                const e = list[i];
+                if (e.type === 'signal') {
+                    // "activate" and "deactivate" right after a message are written as "->+" and "->-"
+                    let modifiers = e.create ? '*' : '';
+                    if (list[i + 1] && list[i + 1].type === 'activate' && list[i + 1].src === e.dest) {
+                        modifiers += '+';
+                        i++;
+                    }
+                    if (list[i + 1] && list[i + 1].type === 'deactivate' && list[i + 1].src === e.src) {
+                        modifiers += '-';
+                        i++;
+                    }
+                    lines.push(`${indent}${name(e.src)}${this.formatArrow(e, modifiers)}${name(e.dest)}:${e.caption ? ' ' + this.formatCaption(e.caption) : ''}${this.formatColor(e.color)}`);
+                }
+                else if (this.isAnnotation(e)) {
+                    const location = ((e.align === 'over')
+                        ? `over ${name(e.src)}${e.dest !== undefined ? ', ' + name(e.dest) : ''}`
+                        : `${e.align} of ${name(e.src)}`) + this.formatColor(e.color);
+
+                    // Multi-line captions end with a line break, an empty caption also needs the block form
+                    if (e.caption && !e.caption.includes('\n')) {
+                        lines.push(`${indent}${e.type} ${location}: ${this.formatCaption(e.caption)}`);
+                    } else {
+                        lines.push(`${indent}${e.type} ${location}`);
+                        e.caption.replace(/\n$/, '').split('\n').filter(line => line).forEach(line => lines.push(`${indent}    ${line}`));
+                        lines.push(`${indent}end`);
                     }
                 }
+                else if (this.isFragment(e)) {
+                    e.cases.forEach((c, caseIndex) => {
+                        const keyword = (caseIndex === 0) ? e.type + this.formatColor(e.color) : 'else';
+                        const guard = (caseIndex === 0) ? this.escapeColor(c.caption, true) : c.caption;
+                        lines.push(`${indent}${keyword}${guard ? ' ' + guard : ''}`);
+                        formatEvents(c.events, indent + '    ');
+                    });
+                    lines.push(`${indent}end`);
+                }
+                else if (e.type === 'parallel' || e.type === 'serial') {
+                    lines.push(`${indent}${e.type} {`);
+                    formatEvents(e.events, indent + '    ');
+                    lines.push(`${indent}}`);
+                }
+                else if (e.type === 'autonumber') {
+                    lines.push(indent + this.formatAutonumber(e));
+                }
+                else if (['activate', 'deactivate', 'destroy'].includes(e.type)) {
+                    lines.push(`${indent}${e.type} ${name(e.src)}`);
+                }
+                else if (e.type === 'comment') {
+                    lines.push(`${indent}#${e.caption}`);
+                }
+                else if (this.isSeparator(e)) {
+                    lines.push(indent + this.formatSeparator(e));
+                }
             }
+        };
+        formatEvents(events, '');
+
+        if (closing.length > 0 && lines.length > 0 && lines.at(-1) !== '') {
+            lines.push('');
         }
+        closing.forEach(e => lines.push(...this.formatDecoration(e)));
 
-        // Calculate ACTOR locations
+        return lines.join('\n') + '\n';
+    }
 
-        let actorOffsetX = gaps[0];
-        let actorMaxHeight = 0;
-        for (let i = 0; i < actors.length; i++) {
-            const actor = actors[i];
-            actor.lineX = actorOffsetX;
-            actor.x = actor.lineX - actor.width / 2;
-            actor.y = sizes.padding;
-            actorMaxHeight = Math.max(actorMaxHeight, actor.height);
-            actorOffsetX += gaps[i+1];
+    formatSeparator(e) {
+        // Dividers, delays and spaces are written the same way in PlantUML
+        if (e.type === 'divider') {
+            return e.caption ? `== ${e.caption} ==` : '====';
+        }
+        if (e.type === 'delay') {
+            return e.caption ? `...${e.caption}...` : '...';
+        }
+        return (e.size !== undefined) ? `||${e.size}||` : '|||';
+    }
+
+    formatDecoration(e) {
+        // Alignments are only written when they differ from the default, "left header" but "legend left"
+        const defaultAlign = (e.type === 'header') ? 'right' : 'center';
+        const aligned = (e.align && e.align !== defaultAlign);
+        const keyword = !aligned ? e.type : (e.type === 'legend' ? `legend ${e.align}` : `${e.align} ${e.type}`);
+
+        // Multi-line captions end with a line break, an empty caption also needs the block form
+        if (e.caption && !e.caption.includes('\n')) {
+            return [`${keyword} ${e.caption}`];
         }
+        return [keyword, ...e.caption.replace(/\n$/, '').split('\n').filter(line => line).map(line => `    ${line}`), 'end'];
+    }
 
-        // Calculate EVENT locations
+    formatParticipant(kind, name, alias, icon = null) {
+        const unquote = (s) => (s || '').trim().replace(/^"(.*)"$/, '$1');
+        const caption = unquote(name);
+        alias = unquote(alias);
+        const quoted = /\s|:|"/.test(caption) ? this.quoteName(caption) : caption;
+        const declaration = (alias && alias !== caption) ? `${kind} ${quoted} as ${/"/.test(alias) ? this.quoteName(alias) : alias}` : `${kind} ${quoted}`;
+        return this.escapeColor(declaration + (icon ? ` <$${icon}>` : ''));
+    }
 
-        let y = this.calculateEventPlacements(actorDict, events, actorMaxHeight + sizes.padding * 2, actorOffsetX, sizes);
+    quoteName(name) {
+        // The reverse of unquoteName
+        return `"${name.replace(/"/g, '\\"')}"`;
+    }
 
-        // Calculate ACTOR sizes
+    formatCaption(caption) {
+        // The reverse of unquoteCaption, a caption that is already in quotes gets another pair
+        return /^\s|\s$|^".*"$/.test(caption) ? this.quoteName(caption) : this.escapeColor(caption);
+    }
 
-        for (let i = 0; i < actors.length; i++) {
-            const actor = actors[i];
-            actor.lineY = y;
+    formatArrow(signal, modifiers = '') {
+        // The arrow between the source and destination of a message, "<-->>", "-/" or "->x" followed by "*+-".
+        // The "x" of a failed message is separated from what follows it, except for the border
+        const head = signal.half ? (signal.half === 'upper' ? '\\' : '/') : (signal.open ? '>>' : '>');
+        const failed = !signal.failed ? '' : (this.isBorder(signal.dest) ? 'x' : 'x ');
+        return (signal.twoWay ? '<' : '') + (signal.dotted ? '--' : '-') + head + failed + modifiers;
+    }
+
+    formatBox(box) {
+        // The caption is quoted like that of a participant
+        const caption = /\s|:|"/.test(box.caption) ? this.quoteName(box.caption) : this.escapeColor(box.caption);
+        return 'box' + (caption ? ' ' + caption : '') + this.formatColor(box.color);
+    }
+
+    formatColor(color) {
+        // Colors follow what they belong to, with "#" also in front of color names
+        return color ? ' #' + color.replace(/^#/, '') : '';
+    }
+
+    formatAutonumber(e) {
+        // The reverse of parseAutonumber, the start is left out when it is the default
+        const parts = ['autonumber'];
+        if (e.action !== 'start') {
+            parts.push(e.action);
+        }
+        if (e.action === 'start' && (e.start !== 1 || e.increment !== undefined)) {
+            parts.push(e.start);
+        }
+        if (e.increment !== undefined) {
+            parts.push(e.increment);
+        }
+        if (e.format) {
+            parts.push(`"${e.format}"`);
         }
+        return parts.join(' ');
+    }
+
+    // Export to other diagram languages
 
-        return { width: actorOffsetX, height: y };
+    scriptToPlantUml(script) {
+        const { actors, events } = this.parseScriptToArrays(script);
+        return this.modelToPlantUml(actors, events);
     }
 
-    calculateLaneGapsAndTextSize(actorDict, events, sizes) {
-        let gapMinSizeBetweenLanes = [];
+    scriptToMermaid(script) {
+        const { actors, events } = this.parseScriptToArrays(script);
+        return this.modelToMermaid(actors, events);
+    }
 
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
-            if (e.type == "signal") {
-                let a1 = actorDict[e.src];
-                let a2 = actorDict[e.dest];
-                if (a1 && a2) {
-                    const bbox = sizes.calculateTextDimensions(e.caption);
-                    e.width = bbox.width;
-                    e.height = bbox.height;
-                    gapMinSizeBetweenLanes.push([a1[1], a2[1], bbox.width + 2 * sizes.padding]);
+    exportIdentifiers(actors) {
+        // Both languages refer to participants by a simple identifier, so aliases such as
+        // ":colon1" or "Long Name" are replaced by a unique identifier made of word characters
+        const ids = new Map();
+        const used = new Set();
+        for (const actor of actors) {
+            let id = actor.alias.replace(/\W+/g, '_').replace(/^(\d)/, '_$1') || '_';
+            for (let n = 2; used.has(id); n++) {
+                id = `${id.replace(/_\d+$/, '')}_${n}`;
+            }
+            used.add(id);
+            ids.set(actor.alias, id);
+        }
+        return ids;
+    }
+
+    modelToPlantUml(actors, events) {
+        // Returns { text, unsupported } where unsupported lists whatever could not be represented
+        const ids = this.exportIdentifiers(actors);
+        const unsupported = new Set();
+        const lines = ['@startuml'];
+        const kinds = { participant: 'participant', actor: 'actor', boundary: 'boundary', control: 'control', entity: 'entity', database: 'database', queue: 'queue', collections: 'collections' };
+        const id = (alias) => ids.get(alias) || alias;
+        const oneLine = (text) => text.trim().replace(/\n/g, '\\n');
+        let startTogether = false;
+
+        const declare = (actor) => {
+            if (!kinds[actor.type]) {
+                unsupported.add(`'${actor.type}' participants are exported as 'participant'`);
+            }
+            const kind = kinds[actor.type] || 'participant';
+            const declaration = (actor.caption === id(actor.alias)) ? `${kind} ${actor.caption}` : `${kind} "${actor.caption}" as ${id(actor.alias)}`;
+            return declaration + this.formatColor(actor.color);
+        };
+
+        if (this.containsEvent(events, e => e.type === 'parallel')) {
+            // Messages that start at the same time ("&") need the newer layout engine
+            lines.push('!pragma teoz true');
+        }
+        events.filter(e => e.type === 'skinparam').forEach(e => lines.push(`skinparam ${e.name} ${e.value}`));
+        if (!this.hasFootbox(events)) {
+            lines.push('hide footbox');
+        }
+
+        // Multi-line text goes in a block closed by "end title", a legend is always a block
+        const decorations = this.diagramDecorations(events);
+        const decorate = (e) => {
+            const keyword = (e.type === 'legend') ? `legend ${e.align}` : (e.align ? `${e.align} ${e.type}` : e.type);
+            const text = e.caption.replace(/\n$/, '');
+            if (e.type === 'caption' || (e.type !== 'legend' && !text.includes('\n'))) {
+                lines.push(`${keyword} ${oneLine(text)}`);
+            } else {
+                lines.push(keyword, ...text.split('\n'), `end ${e.type}`);
+            }
+        };
+        [decorations.header, decorations.title].filter(e => e).forEach(decorate);
+
+        // Participants created by a message are declared with it, outside of their box
+        const boxes = this.participantBoxes(events);
+        const boxOf = (actor) => actor && boxes.get(actor.alias);
+        const declared = this.orderActorsByBox(actors, events).filter(a => !a.created);
+        if (actors.some(a => a.created && boxOf(a))) {
+            unsupported.add("participants created by a message are exported outside of their box");
+        }
+        declared.forEach((actor, i) => {
+            const box = boxOf(actor);
+            if (box && box !== boxOf(declared[i - 1])) {
+                lines.push(this.formatBox(box));
+            }
+            lines.push(declare(actor));
+            if (box && box !== boxOf(declared[i + 1])) {
+                lines.push('end box');
+            }
+        });
+
+        const exportEvents = (list, indent) => {
+            for (const e of list) {
+                if (e.type === 'signal') {
+                    const created = e.create && actors.find(a => a.alias === e.dest);
+                    if (created) {
+                        lines.push(indent + 'create ' + declare(created));
+                    }
+                    // A half head is mirrored on the left end, "/-\" has both halves above the line
+                    const rightHead = e.half ? (e.half === 'upper' ? '\\' : '/') : (e.open ? '>>' : '>');
+                    const leftHead = e.half ? (e.half === 'upper' ? '/' : '\\') : (e.open ? '<<' : '<');
+                    const dashes = e.dotted ? '--' : '-';
+
+                    // "[" can only be on the left of the arrow and "]" on the right, "C ->[" is written "[<- C"
+                    const mirrored = (e.dest === '[' || e.src === ']');
+                    let arrow = mirrored
+                        ? (e.failed ? 'x' : '') + leftHead + dashes + (e.twoWay ? rightHead : '')
+                        : (e.twoWay ? leftHead : '') + dashes + rightHead + (e.failed ? 'x' : '');
+
+                    // The color goes inside the arrow, "-[#red]>"
+                    if (e.color) {
+                        arrow = arrow.replace('-', `-[${this.formatColor(e.color).trim()}]`);
+                    }
+
+                    // The border of the diagram is written against the arrow, "[->" and "->]"
+                    const [left, right] = mirrored ? [e.dest, e.src] : [e.src, e.dest];
+                    const src = this.isBorder(left) ? left : id(left) + ' ';
+                    const dest = this.isBorder(right) ? right : ' ' + id(right);
+                    lines.push(`${indent}${startTogether ? '& ' : ''}${src}${arrow}${dest} : ${oneLine(e.caption)}`);
+                    startTogether = false;
+                }
+                else if (this.isAnnotation(e)) {
+                    let keyword = e.type;
+                    let align = e.align;
+                    if (e.type === 'state') {
+                        unsupported.add("state boxes are exported as 'hnote'");
+                        keyword = 'hnote';
+                    }
+                    if (e.type === 'ref' && align !== 'over') {
+                        unsupported.add(`ref frames ${align} of a participant are exported as 'ref over'`);
+                        align = 'over';
+                    }
+                    let location = (align === 'over')
+                        ? `over ${id(e.src)}${e.dest !== undefined ? ', ' + id(e.dest) : ''}`
+                        : `${align} of ${id(e.src)}`;
+                    if (e.type === 'ref' && e.color) {
+                        unsupported.add("the colors of ref frames are not exported");
+                    } else {
+                        location += this.formatColor(e.color);
+                    }
+                    const caption = e.caption.trim();
+                    if (caption.includes('\n')) {
+                        lines.push(`${indent}${keyword} ${location}`);
+                        caption.split('\n').forEach(line => lines.push(indent + '    ' + line));
+                        lines.push(`${indent}end ${keyword}`);
+                    } else {
+                        lines.push(`${indent}${keyword} ${location} : ${caption}`);
+                    }
+                }
+                else if (this.isFragment(e)) {
+                    const keyword = (e.type === 'seq') ? 'group seq' : e.type;
+                    e.cases.forEach((c, caseIndex) => {
+                        const guard = (e.type === 'seq' && c.caption) ? `[${c.caption}]` : c.caption;
+                        lines.push(`${indent}${caseIndex === 0 ? keyword + this.formatColor(e.color) : 'else'}${guard ? ' ' + guard : ''}`);
+                        exportEvents(c.events, indent + '    ');
+                    });
+                    lines.push(indent + 'end');
+                }
+                else if (e.type === 'parallel') {
+                    // Every branch after the first starts together with the previous message ("&")
+                    e.events.forEach((branch, branchIndex) => {
+                        const first = (branch.type === 'serial') ? branch.events[0] : branch;
+                        if (branchIndex > 0 && branch.type !== 'comment' && (!first || first.type !== 'signal')) {
+                            unsupported.add("only messages can start in parallel, other events are exported one after another");
+                        }
+                        startTogether = branchIndex > 0 && first && first.type === 'signal';
+                        exportEvents([branch], indent);
+                    });
+                }
+                else if (e.type === 'serial') {
+                    exportEvents(e.events, indent);
+                }
+                else if (e.type === 'autonumber') {
+                    lines.push(indent + this.formatAutonumber(e));
+                }
+                else if (['activate', 'deactivate', 'destroy'].includes(e.type)) {
+                    lines.push(`${indent}${e.type} ${id(e.src)}`);
+                }
+                else if (this.isSeparator(e)) {
+                    lines.push(indent + this.formatSeparator(e));
+                }
+                else if (e.type === 'comment') {
+                    lines.push(`${indent}'${e.caption}`);
+                }
+                else if (!['skinparam', 'footbox', 'box'].includes(e.type) && !this.isDecoration(e)) {
+                    unsupported.add(`'${e.type}' is not exported`);
                 }
             }
-            else if (e.type == "note") {
-                let a1 = actorDict[e.src];
-                if (a1) {
-                    const bbox = sizes.calculateTextDimensions(e.caption);
-                    e.width = bbox.width + 2 * sizes.padding;
-                    e.height = bbox.height + 2 * sizes.padding;
-                    gapMinSizeBetweenLanes.push([a1[1], a1[1] + 1, e.width + 2 * sizes.padding]);
+        };
+        exportEvents(events, '');
+
+        [decorations.legend, decorations.caption, decorations.footer].filter(e => e).forEach(decorate);
+        lines.push('@enduml');
+        return { text: lines.join('\n') + '\n', unsupported: [...unsupported] };
+    }
+
+    modelToMermaid(actors, events) {
+        // Returns { text, unsupported } where unsupported lists whatever could not be represented
+        const ids = this.exportIdentifiers(actors);
+        const unsupported = new Set();
+        const lines = ['sequenceDiagram'];
+        if (!this.hasFootbox(events)) {
+            // Mermaid calls the footbox "mirrorActors", and sets it in a directive before the diagram
+            lines.unshift('%%{init: {"sequence": {"mirrorActors": false}}}%%');
+        }
+        const kinds = { participant: 'participant', actor: 'actor' };
+        const arrows = { solid: '->>', dotted: '-->>', solidOpen: '-)', dottedOpen: '--)' };
+        const id = (alias) => ids.get(alias) || alias;
+        const signalLines = new Map();
+
+        // "#" starts an entity code and ";" ends a statement, line breaks are written as <br/>
+        const text = (caption) => caption.trim().replace(/#/g, '#35;').replace(/;/g, '#59;').replace(/\n|\\n/g, '<br/>');
+
+        const uncolored = (item) => {
+            if (item.color) {
+                unsupported.add("colors are not exported");
+            }
+        };
+
+        const declare = (actor) => {
+            if (!kinds[actor.type]) {
+                unsupported.add(`'${actor.type}' participants are exported as 'participant'`);
+            }
+            const kind = kinds[actor.type] || 'participant';
+            uncolored(actor);
+            return (actor.caption === id(actor.alias)) ? `${kind} ${actor.caption}` : `${kind} ${id(actor.alias)} as ${text(actor.caption)}`;
+        };
+
+        // Mermaid only has a title, on a single line
+        const title = this.diagramDecorations(events).title;
+        if (title) {
+            lines.push('    title ' + text(title.caption.replace(/\n$/, '').replace(/\n|\\n/g, ' ')));
+        }
+
+        // Mermaid numbers every message of the diagram, without a start, increment or format
+        const numbering = [];
+        this.containsEvent(events, e => e.type === 'autonumber' && numbering.push(e));
+        if (numbering.length > 0) {
+            lines.push('    autonumber');
+            if (numbering.some(e => e.action !== 'start' || e.start !== 1 || e.increment !== undefined || e.format)) {
+                unsupported.add("autonumber start, increment, format, stop and resume are not supported, every message is numbered from 1");
+            }
+        }
+
+        // Mermaid takes a color name or rgb() before the caption of a box
+        const boxColor = (color) => {
+            if (!color || !color.startsWith('#')) {
+                return color || '';
+            }
+            const hex = color.slice(1).length <= 4 ? color.slice(1).replace(/./g, '$&$&') : color.slice(1);
+            const [r, g, b, a] = hex.match(/../g).map(h => parseInt(h, 16));
+            return (a === undefined) ? `rgb(${r},${g},${b})` : `rgba(${r},${g},${b},${Math.round(a / 2.55) / 100})`;
+        };
+        const boxes = this.participantBoxes(events);
+        const boxOf = (actor) => actor && boxes.get(actor.alias);
+        const declared = this.orderActorsByBox(actors, events).filter(a => !a.created);
+        if (actors.some(a => a.created && boxOf(a))) {
+            unsupported.add("participants created by a message are exported outside of their box");
+        }
+        declared.forEach((actor, i) => {
+            const box = boxOf(actor);
+            if (box && box !== boxOf(declared[i - 1])) {
+                lines.push('    ' + ['box', boxColor(box.color), text(box.caption)].filter(part => part).join(' '));
+            }
+            lines.push((box ? '        ' : '    ') + declare(actor));
+            if (box && box !== boxOf(declared[i + 1])) {
+                lines.push('    end');
+            }
+        });
+
+        const exportEvents = (list, indent) => {
+            list.forEach((e, i) => {
+                uncolored(e);
+                if (e.type === 'signal') {
+                    const created = e.create && actors.find(a => a.alias === e.dest);
+                    if (created) {
+                        lines.push(indent + 'create ' + declare(created));
+                    }
+                    if (this.isBorder(e.src) || this.isBorder(e.dest)) {
+                        unsupported.add("messages to or from the border of the diagram are not exported");
+                        return;
+                    }
+                    if (e.half) {
+                        unsupported.add("half arrowheads are exported as open arrowheads");
+                    }
+                    if (e.twoWay && (e.open || e.half)) {
+                        unsupported.add("two-way messages are exported with closed arrowheads");
+                    }
+
+                    // Mermaid crosses out the head with "x" and points both ways with "<<->>", which has no open head
+                    const dashes = e.dotted ? '--' : '-';
+                    const arrow = e.failed ? dashes + 'x'
+                        : e.twoWay ? '<<' + dashes + '>>'
+                        : arrows[(e.dotted ? 'dotted' : 'solid') + ((e.open || e.half) ? 'Open' : '')];
+                    signalLines.set(e, lines.length);
+                    lines.push(`${indent}${id(e.src)}${arrow}${id(e.dest)}: ${text(e.caption)}`);
+                }
+                else if (this.isAnnotation(e)) {
+                    if (e.type !== 'note') {
+                        unsupported.add(`${e.type === 'ref' ? 'ref frames' : 'state boxes'} are exported as notes`);
+                    }
+                    const location = (e.align === 'over')
+                        ? `over ${id(e.src)}${e.dest !== undefined ? ',' + id(e.dest) : ''}`
+                        : `${e.align} of ${id(e.src)}`;
+                    const prefix = (e.type === 'ref') ? 'ref: ' : '';
+                    lines.push(`${indent}Note ${location}: ${prefix}${text(e.caption)}`);
+                }
+                else if (this.isFragment(e)) {
+                    const divider = { alt: 'else', par: 'and' }[e.type];
+                    if (e.type === 'seq') {
+                        unsupported.add("'seq' fragments are not supported, their messages are exported without the frame");
+                        e.cases.forEach(c => exportEvents(c.events, indent));
+                        return;
+                    }
+                    e.cases.forEach((c, caseIndex) => {
+                        if (caseIndex === 0 || divider) {
+                            lines.push(`${indent}${caseIndex === 0 ? e.type : divider}${c.caption ? ' ' + text(c.caption) : ''}`);
+                        } else {
+                            unsupported.add(`'else' is not supported in '${e.type}', the cases are merged`);
+                        }
+                        exportEvents(c.events, indent + '    ');
+                    });
+                    lines.push(indent + 'end');
+                }
+                else if (e.type === 'parallel' || e.type === 'serial') {
+                    if (e.type === 'parallel') {
+                        unsupported.add("'parallel' blocks are not supported, their events are exported one after another");
+                    }
+                    exportEvents(e.events, indent);
+                }
+                else if (e.type === 'activate' || e.type === 'deactivate') {
+                    lines.push(`${indent}${e.type} ${id(e.src)}`);
+                }
+                else if (e.type === 'destroy') {
+                    // Mermaid destroys a participant with a message to or from it, so "destroy" goes
+                    // before the message that precedes it (or the one that follows it)
+                    const involves = (s) => s && s.type === 'signal' && (s.src === e.src || s.dest === e.src)
+                        && !this.isBorder(s.src) && !this.isBorder(s.dest);
+                    if (involves(list[i - 1])) {
+                        lines.splice(signalLines.get(list[i - 1]), 0, `${indent}destroy ${id(e.src)}`);
+                    } else if (involves(list[i + 1])) {
+                        lines.push(`${indent}destroy ${id(e.src)}`);
+                    } else {
+                        unsupported.add("'destroy' is only supported right before a message to or from the participant");
+                    }
+                }
+                else if (e.type === 'comment') {
+                    lines.push(`${indent}%%${e.caption}`);
+                }
+                else if (e.type === 'skinparam') {
+                    unsupported.add("skinparam settings are not exported");
+                }
+                else if (this.isDecoration(e) && e.type !== 'title') {
+                    unsupported.add(`the ${e.type} is not exported`);
+                }
+                else if (!['autonumber', 'footbox', 'box', 'title'].includes(e.type)) {
+                    unsupported.add(`'${e.type}' is not exported`);
+                }
+            });
+        };
+        exportEvents(events, '    ');
+
+        return { text: lines.join('\n') + '\n', unsupported: [...unsupported] };
+    }
+
+    containsEvent(events, predicate) {
+        return events.some(e => predicate(e)
+            || (Array.isArray(e.events) && this.containsEvent(e.events, predicate))
+            || (this.isFragment(e) && e.cases.some(c => this.containsEvent(c.events, predicate))));
+    }
+
+    // Import from other diagram languages
+
+    importScript(text) {
+        // Detects the language from its header, websequencediagrams.com text is closest to our own syntax
+        const firstLine = text.split('\n').map(line => line.trim()).find(line => line && !/^('|%%|#)/.test(line)) || '';
+        if (firstLine.startsWith('@startuml')) {
+            return this.plantUmlToScript(text);
+        }
+        if (firstLine.startsWith('sequenceDiagram')) {
+            return this.mermaidToScript(text);
+        }
+        return this.wsdToScript(text);
+    }
+
+    importSignal(src, dest, caption, flags = {}) {
+        // flags: { dotted, open, twoWay, half, failed, create, activate, deactivate } as in "A<-->>*+B: caption"
+        const modifiers = (flags.create ? '*' : '') + (flags.activate ? '+' : '') + (flags.deactivate ? '-' : '');
+        const arrow = this.formatArrow({ ...flags, dest }, modifiers);
+        return `${src}${arrow}${dest}:${caption ? ' ' + caption : ''}`;
+    }
+
+    indentImportedLines(lines) {
+        // Indents the contents of blocks and multi-line notes by four spaces per level
+        let depth = 0;
+        let inNote = false;
+        return lines.map(line => {
+            const closes = /^(end|else)\b|^}$/.test(line) && (!inNote || /^end\b/.test(line));
+            const indented = (line === '') ? '' : '    '.repeat(Math.max(0, depth - (closes ? 1 : 0))) + line;
+            if (closes && !/^else\b/.test(line)) {
+                depth = Math.max(0, depth - 1);
+                inNote = false;
+            }
+            else if (!inNote && (/^(alt|opt|loop|par|seq)\b|^(parallel|serial)\s*{$/.test(line) || /^(note|ref|state)\s[^:]*$/.test(line) || this.isDecorationBlock(line))) {
+                inNote = /^(note|ref|state)\b/.test(line) || this.isDecorationBlock(line);
+                depth++;
+            }
+            return indented;
+        });
+    }
+
+    isDecorationBlock(line) {
+        // A title, header, footer, caption or legend without any text on its line starts a block
+        return /^((left|right|center)\s+)?(title|header|footer|caption|legend)(\s+(left|right|center))?$/.test(line);
+    }
+
+    plantUmlToScript(text) {
+        // Returns { script, unsupported } where unsupported lists whatever could not be converted
+        const unsupported = new Set();
+        const lines = [];
+        const kinds = { participant: 'participant', actor: 'actor', boundary: 'boundary', control: 'control', entity: 'entity', database: 'database', queue: 'queue', collections: 'collections' };
+        const pendingCreate = new Set();
+        let lastSignal = null;
+        let inNote = false;
+        let skipUntil = null;
+        let skinparamPrefix = null;
+
+        const name = `("[^"]+"|[^\\s"<>:+*!,-]+)`;
+        const signalPattern = new RegExp(`^${name}\\s*([<ox/\\\\]*)(-{1,2})(?:\\[([^\\]]*)\\])?(-?)([>ox/\\\\]*)\\s*${name}\\s*(\\+\\+|--|\\*\\*|!!)?\\s*(?::(.*))?$`);
+        const unquote = (s) => s.replace(/^"(.*)"$/, '$1');
+
+        // "skinparam sequenceArrowColor" is the same as "skinparam arrowColor"
+        const skinparam = (setting, value) => {
+            const names = Object.keys(LocalSequenceDiagrams.SKINPARAMS);
+            const known = names.find(key => key.toLowerCase() === setting.toLowerCase())
+                || names.find(key => key.toLowerCase() === setting.toLowerCase().replace(/^sequence/, ''));
+            if (known && this.parseSkinparamValue(LocalSequenceDiagrams.SKINPARAMS[known][0], value) !== null) {
+                lines.push(`skinparam ${known} ${value}`);
+            } else {
+                unsupported.add(`skinparam '${setting}' is not imported`);
+            }
+        };
+        const color = (token) => {
+            const parsed = token && this.parseColor(token.trim());
+            return parsed ? this.formatColor(parsed) : '';
+        };
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            let match;
+
+            // Multi-line comments and skinparam blocks are skipped entirely
+            if (skipUntil) {
+                if (skipUntil.test(line)) {
+                    skipUntil = null;
                 }
+                continue;
             }
-            else if (e.type == "alt") {
-                for (let c = 0; c < e.cases.length; c++) {
-                    const gaps = this.calculateLaneGapsAndTextSize(actorDict, e.cases[c].events, sizes);
-                    gapMinSizeBetweenLanes = gapMinSizeBetweenLanes.concat(gaps);
+            if (skinparamPrefix !== null) {
+                if (line === '}') {
+                    skinparamPrefix = null;
+                } else if ((match = line.match(/^(\S+)\s+(.+)$/))) {
+                    skinparam(skinparamPrefix + match[1], match[2]);
+                }
+                continue;
+            }
+            if (inNote) {
+                if (/^end\s*(note|ref|hnote|rnote|title|header|footer|legend)$/.test(line)) {
+                    lines.push('end');
+                    inNote = false;
+                } else {
+                    lines.push(line);
+                }
+                continue;
+            }
+
+            if (line === '' || /^@(start|end)uml/.test(line)) {
+                if (line === '') {
+                    lines.push('');
+                }
+            }
+            else if (line.startsWith("'")) {
+                lines.push('# ' + line.slice(1).trim());
+            }
+            else if (line.startsWith("/'")) {
+                if (!line.includes("'/")) {
+                    skipUntil = /'\/\s*$/;
+                }
+            }
+            else if ((match = line.match(/^(participant|actor|boundary|control|entity|database|collections|queue)\s+(.*)$/))) {
+                const [, kind, rest] = match;
+                if (!kinds[kind]) {
+                    unsupported.add(`'${kind}' participants are imported as 'participant'`);
+                }
+                const [declaration, fill] = this.splitColor(rest.replace(/\s+order\s+-?\d+/, ''));
+                const parts = declaration.match(/^("[^"]*"|\S+)(?:\s+as\s+("[^"]*"|\S+))?/);
+                // "participant L as "Long Name"" has the alias first
+                const [caption, alias] = (parts[2] && parts[2].startsWith('"')) ? [parts[2], parts[1]] : [parts[1], parts[2]];
+                lines.push(this.formatParticipant(kinds[kind] || 'participant', caption, alias) + this.formatColor(fill));
+            }
+            else if ((match = line.match(/^create\s+(?:(?:participant|actor|boundary|control|entity|database|collections|queue)\s+)?("[^"]*"|\S+)/))) {
+                pendingCreate.add(unquote(match[1]));
+            }
+            else if ((match = line.match(/^(activate|deactivate|destroy)\s+("[^"]*"|[^\s#]+)/))) {
+                lines.push(`${match[1]} ${unquote(match[2])}`);
+            }
+            else if ((match = line.match(/^autonumber\b(.*)$/))) {
+                lines.push(line);
+            }
+            else if ((match = line.match(/^(alt|opt|loop|par|else|group|critical|break)(#\w+)?\b\s*(.*)$/))) {
+                let [, keyword, border, guard] = match;
+                if (border) {
+                    unsupported.add("border colors of groups are not imported");
+                }
+                if (keyword === 'else' && this.splitColor(guard, true)[1]) {
+                    unsupported.add("colors of 'else' cases are not imported");
+                    guard = this.splitColor(guard, true)[0];
+                }
+                if (keyword === 'group' || keyword === 'critical' || keyword === 'break') {
+                    unsupported.add(`'${keyword}' is imported as 'opt'`);
+                    guard = `${keyword}${guard ? ' ' + guard : ''}`;
+                    keyword = 'opt';
+                }
+                lines.push(guard ? `${keyword} ${guard}` : keyword);
+            }
+            else if (/^end\s*box$/.test(line)) {
+                lines.push('end box');
+            }
+            else if ((match = line.match(/^box\b\s*(.*)$/))) {
+                const [caption, fill] = this.splitColor(match[1]);
+                lines.push(this.formatBox({ caption: unquote(caption), color: fill }));
+            }
+            else if (line === 'end') {
+                lines.push('end');
+            }
+            else if ((match = line.match(/^(note|hnote|rnote|ref)\s+(left|right|over)\b\s*(?:of\s+)?([^:]*?)\s*(#\w+\s*)?(?::\s*(.*))?$/))) {
+                const [, keyword, align, names, fill, caption] = match;
+                const type = { hnote: 'state', rnote: 'note' }[keyword] || keyword;
+                let location = names.split(',').map(n => unquote(n.trim())).filter(n => n).join(', ');
+
+                // A note without participants is attached to the previous message
+                if (!location && lastSignal) {
+                    location = (align === 'over') ? `${lastSignal.src}, ${lastSignal.dest}`
+                        : (align === 'left' ? lastSignal.src : lastSignal.dest);
+                }
+                const prefix = `${type} ${align}${align === 'over' ? '' : ' of'} ${location}${color(fill)}`;
+                if (caption === undefined) {
+                    lines.push(prefix);
+                    inNote = true;
+                } else {
+                    lines.push(`${prefix}: ${caption}`);
+                }
+            }
+            else if ((match = line.match(/^(?:(left|right|center)\s+)?(title|header|footer|caption|legend)\b\s*(.*)$/))) {
+                // "legend top left" places the legend, only its horizontal alignment is kept
+                let [, align, type, rest] = match;
+                if (type === 'legend') {
+                    const words = rest.split(/\s+/).filter(word => word);
+                    if (words.some(word => word === 'top' || word === 'bottom')) {
+                        unsupported.add("legends are always drawn at the bottom");
+                    }
+                    align = words.find(word => ['left', 'right', 'center'].includes(word));
+                    rest = '';
+                }
+                if (rest || type !== 'caption') {
+                    lines.push([type === 'legend' ? null : align, type, type === 'legend' ? align : null, rest].filter(part => part).join(' '));
+                    inNote = !rest;
+                }
+            }
+            else if (/^newpage\b/.test(line)) {
+                unsupported.add("'newpage' is not imported");
+                lines.push(`# ${line}`);
+            }
+            else if (/^(\.\.\.|\|\|\|$|\|\|\d+\|\|$|==.*==$)/.test(line)) {
+                // Dividers, delays and spaces are written the same way in both languages
+                lines.push(line);
+            }
+            else if (/^delay\b/.test(line)) {
+                unsupported.add("'delay' is not imported");
+                lines.push(`# ${line}`);
+            }
+            else if ((match = line.match(/^skinparam\s+(?:(\w+)\s*)?\{$/))) {
+                skinparamPrefix = match[1] || '';
+            }
+            else if ((match = line.match(/^skinparam\s+(\S+)\s+(.+)$/))) {
+                skinparam(match[1], match[2]);
+            }
+            else if ((match = line.match(/^(hide|show)\s+footbox$/i))) {
+                lines.push(`${match[1].toLowerCase()} footbox`);
+            }
+            else if ((match = line.match(/^(skinparam|hide|show|!pragma|!theme|autoactivate|scale|return)\b/))) {
+                unsupported.add(`'${match[1]}' is not imported`);
+                if (line.endsWith('{')) {
+                    skipUntil = /^}$/;
+                }
+            }
+            else if ((match = line.replace(/^&\s*/, '').match(signalPattern))) {
+                const [, left, leftHead, dashes, style, dash, rightHead, right, modifier, caption] = match;
+                const pointsLeft = /[</\\]/.test(leftHead);
+                const pointsRight = /[>/\\]/.test(rightHead);
+                const reversed = pointsLeft && !pointsRight;
+                const head = reversed ? leftHead : rightHead;
+                const [src, dest] = (reversed ? [right, left] : [left, right]).map(unquote);
+                if (/o/.test(leftHead + rightHead)) {
+                    unsupported.add("circle arrowheads are imported as plain messages");
+                }
+                if (line.startsWith('&')) {
+                    unsupported.add("messages that start together ('&') are imported one after another");
+                }
+
+                // "-[#red]>" colors the arrow, "-[#red,bold]->" also changes its style
+                const fill = ((style || '').match(/#\w+/) || [])[0];
+
+                // "\" is the upper half of a head on the right end of the arrow, but the lower half on the left end
+                const half = /[/\\]/.test(head) ? ((/\\/.test(head) !== reversed) ? 'upper' : 'lower') : undefined;
+                const flags = {
+                    dotted: (dashes + dash).length === 2,
+                    open: /<<|>>/.test(head),
+                    twoWay: pointsLeft && pointsRight,
+                    half,
+                    failed: /x/.test(head),
+                    create: modifier === '**' || pendingCreate.delete(dest),
+                    activate: modifier === '++',
+                    deactivate: modifier === '--'
+                };
+                lines.push(this.importSignal(src, dest, (caption || '').trim(), flags) + color(fill));
+                if (modifier === '!!') {
+                    lines.push(`destroy ${dest}`);
+                }
+                lastSignal = { src, dest };
+            }
+            else {
+                unsupported.add(`unrecognized line '${line}'`);
+                lines.push(`# ${line}`);
+            }
+        }
+
+        return { script: this.indentImportedLines(lines).join('\n').trim() + '\n', unsupported: [...unsupported] };
+    }
+
+    mermaidToScript(text) {
+        // Returns { script, unsupported } where unsupported lists whatever could not be converted
+        const unsupported = new Set();
+        const lines = [];
+        const pendingCreate = new Set();
+        const pendingDestroy = new Set();
+        const blocks = [];
+
+        const decode = (s) => s.trim().replace(/#35;/g, '#').replace(/#59;/g, ';');
+        const signalPattern = /^([^\s:+-][^:]*?)\s*(<<)?(-{1,2})(>>|>|x|\)|)\s*([+-]?)\s*([^:]+?)\s*:(.*)$/;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            let match;
+
+            if (line === '') {
+                lines.push('');
+            }
+            else if (line === 'sequenceDiagram') {
+                // header
+            }
+            else if (/^%%\{.*["']?mirrorActors["']?\s*:\s*false/.test(line)) {
+                lines.push('hide footbox');
+            }
+            else if (line.startsWith('%%')) {
+                lines.push('# ' + line.slice(2).trim());
+            }
+            else if ((match = line.match(/^(create\s+)?(participant|actor)\s+(\S+)(?:\s+as\s+(.*))?$/))) {
+                const [, create, kind, id, alias] = match;
+                lines.push(this.formatParticipant(kind, alias ? decode(alias).replace(/<br\s*\/?>/g, '\\n') : id, id));
+                if (create) {
+                    pendingCreate.add(id);
+                }
+            }
+            else if ((match = line.match(/^destroy\s+(\S+)$/))) {
+                // Mermaid destroys a participant with the next message, our "destroy" follows the message
+                pendingDestroy.add(match[1]);
+            }
+            else if ((match = line.match(/^(activate|deactivate)\s+(\S+)$/))) {
+                lines.push(`${match[1]} ${match[2]}`);
+            }
+            else if ((match = line.match(/^autonumber\b/))) {
+                lines.push('autonumber');
+            }
+            else if ((match = line.match(/^box\b\s*(.*)$/))) {
+                // "box Aqua Backend" and "box rgb(0,128,255) Backend" start with a color
+                const [, first, rest] = match[1].match(/^(\S*)\s*(.*)$/);
+                const rgb = first.match(/^rgba?\((\d+),\s*(\d+),\s*(\d+)(?:,\s*([\d.]+))?\)$/);
+                let color = null;
+                if (rgb) {
+                    const channels = rgb.slice(1, 4).concat(rgb[4] !== undefined ? [Math.round(parseFloat(rgb[4]) * 255)] : []);
+                    color = '#' + channels.map(c => Number(c).toString(16).padStart(2, '0')).join('');
+                }
+                else if (Object.hasOwn(LocalSequenceDiagrams.NAMED_COLORS, first.toLowerCase())) {
+                    color = first.toLowerCase();
+                }
+                const caption = color ? rest : match[1];
+                lines.push(this.formatBox({ caption: decode(caption), color }));
+                blocks.push('box');
+            }
+            else if ((match = line.match(/^(alt|opt|loop|par|critical|break|rect)\b\s*(.*)$/))) {
+                let [, keyword, guard] = match;
+                blocks.push(keyword);
+                if (keyword === 'rect') {
+                    unsupported.add(`'${keyword}' is not imported`);
+                    continue;
+                }
+                if (keyword === 'critical' || keyword === 'break') {
+                    unsupported.add(`'${keyword}' is imported as 'opt'`);
+                    guard = `${keyword}${guard ? ' ' + guard : ''}`;
+                    keyword = 'opt';
+                }
+                lines.push(guard ? `${keyword} ${decode(guard)}` : keyword);
+            }
+            else if ((match = line.match(/^(else|and|option)\b\s*(.*)$/))) {
+                lines.push(match[2] ? `else ${decode(match[2])}` : 'else');
+            }
+            else if (line === 'end') {
+                const block = blocks.pop();
+                if (block === 'box') {
+                    lines.push('end box');
+                } else if (block !== 'rect') {
+                    lines.push('end');
+                }
+            }
+            else if ((match = line.match(/^note\s+(left of|right of|over)\s+([^:]+):(.*)$/i))) {
+                const [, location, names, caption] = match;
+                const captionLines = decode(caption).split(/<br\s*\/?>/i).map(l => l.trim());
+                const prefix = `note ${location.toLowerCase()} ${names.split(',').map(n => n.trim()).join(', ')}`;
+                if (captionLines.length > 1) {
+                    lines.push(prefix, ...captionLines, 'end');
+                } else {
+                    lines.push(`${prefix}: ${captionLines[0]}`);
+                }
+            }
+            else if ((match = line.match(/^title\s*:?\s*(.+)$/))) {
+                lines.push(`title ${decode(match[1])}`);
+            }
+            else if ((match = line.match(/^(links?|properties|details)\b/))) {
+                unsupported.add(`'${match[1]}' is not imported`);
+                lines.push(`# ${line}`);
+            }
+            else if ((match = line.match(signalPattern))) {
+                const [, src, twoWay, dashes, head, activation, dest, caption] = match;
+                if (head === '>' || head === '') {
+                    unsupported.add("arrows without an arrowhead are imported as plain messages");
+                }
+                const flags = {
+                    dotted: dashes.length === 2,
+                    open: head === ')',
+                    twoWay: !!twoWay,
+                    failed: head === 'x',
+                    create: pendingCreate.delete(dest),
+                    activate: activation === '+',
+                    deactivate: activation === '-'
+                };
+                lines.push(this.importSignal(src, dest, decode(caption).replace(/<br\s*\/?>/gi, '\\n'), flags));
+                for (const name of [src, dest]) {
+                    if (pendingDestroy.delete(name)) {
+                        lines.push(`destroy ${name}`);
+                    }
+                }
+            }
+            else {
+                unsupported.add(`unrecognized line '${line}'`);
+                lines.push(`# ${line}`);
+            }
+        }
+
+        return { script: this.indentImportedLines(lines).join('\n').trim() + '\n', unsupported: [...unsupported] };
+    }
+
+    wsdToScript(text) {
+        // Returns { script, unsupported } where unsupported lists whatever could not be converted.
+        // Our syntax is derived from websequencediagrams.com, so most lines are kept as they are.
+        const unsupported = new Set();
+        const lines = [];
+        let inNote = false;
+
+        for (const rawLine of text.split(/\r?\n/)) {
+            const line = rawLine.trim();
+            let match;
+
+            if (inNote) {
+                inNote = !/^end(\s+(note|ref|state))?$/.test(line);
+                lines.push(inNote ? line : 'end');
+            }
+            else if ((match = line.match(/^(note|ref|state)\s+(left of|right of|over)\s+([^:]+?)\s*(?::(.*))?$/))) {
+                inNote = match[4] === undefined;
+                lines.push(line);
+            }
+            else if ((match = line.match(/^option\s+footer\s*=\s*(\w+)$/))) {
+                // Participants at the bottom are drawn as boxes, or not at all
+                if (match[1] === 'none') {
+                    lines.push('hide footbox');
+                } else if (match[1] !== 'box') {
+                    unsupported.add(`'footer=${match[1]}' is imported as 'footer=box'`);
+                }
+            }
+            else if (/^title\s+\S/.test(line)) {
+                lines.push(line);
+            }
+            else if ((match = line.match(/^(title|option|space)\b/))) {
+                unsupported.add(`'${match[1]}' is not imported`);
+                lines.push(`# ${line}`);
+            }
+            else if (line.startsWith('destroysilent ')) {
+                unsupported.add("'destroysilent' is imported as 'destroy'");
+                lines.push(line.replace(/^destroysilent/, 'destroy'));
+            }
+            else if ((match = line.match(/^([^:]*?)(-{1,2}>{1,2})\((\d+)\)(.*)$/))) {
+                // Sloped messages "A->(3)B" are drawn straight
+                unsupported.add("message delays such as '->(3)' are not imported");
+                lines.push(match[1] + match[2] + match[4]);
+            }
+            else {
+                lines.push(line);
+            }
+        }
+
+        return { script: this.indentImportedLines(lines).join('\n').trim() + '\n', unsupported: [...unsupported] };
+    }
+
+    // Utilities
+
+    findClosestWord(word, candidates) {
+        // Suggest a candidate that is only a couple of typos away (Levenshtein distance)
+        let best = null;
+        let bestDistance = Math.min(3, Math.floor(word.length / 2) + 1);
+        for (const candidate of candidates) {
+            let row = Array.from({ length: candidate.length + 1 }, (_, i) => i);
+            for (let i = 1; i <= word.length; i++) {
+                const next = [i];
+                for (let j = 1; j <= candidate.length; j++) {
+                    const cost = word[i-1].toLowerCase() === candidate[j-1].toLowerCase() ? 0 : 1;
+                    next.push(Math.min(row[j] + 1, next[j-1] + 1, row[j-1] + cost));
                 }
+                row = next;
+            }
+            if (row[candidate.length] < bestDistance) {
+                best = candidate;
+                bestDistance = row[candidate.length];
+            }
+        }
+        return best;
+    }
+
+    splitOnColonEscaped(input) {
+        for (let i = 0, quoted = false; i < input.length; i++) {
+            if (quoted && input[i] === '\\' && input[i+1] === '"') {
+                i++;
+
+            } else if (input[i] === '"') {
+                quoted = !quoted;
+
+            } else if (input[i] === ':' && !quoted) {
+                return [input.slice(0, i), input.slice(i+1)];
+            }
+        }
+
+        return [input, ""];
+    }
+
+    parseParticipantDeclaration(text) {
+        // Long Name as L
+        // "Quoted Name" as L
+        // "Name with \"quotes\"" as Q
+        const match = text.trim().match(/^("(?:\\"|[^"])*"|.*?)(?:\s+as\s+(.+))?$/);
+        return [this.unquoteName((match[1] || '').trim()), this.unquoteName((match[2] || '').trim())];
+    }
+
+    unquoteName(text) {
+        // The quotes around a name (or a part of it) are dropped, inside them \" is a quote that belongs to the name
+        let name = '';
+        for (let i = 0, quoted = false; i < text.length; i++) {
+            if (quoted && text[i] === '\\' && text[i+1] === '"') {
+                name += '"';
+                i++;
+            } else if (text[i] === '"') {
+                quoted = !quoted;
+            } else {
+                name += text[i];
             }
         }
+        return name;
+    }
+
+    unquoteCaption(caption) {
+        // Captions are trimmed, so a caption that starts or ends with spaces is written in quotes
+        const match = caption.match(/^"((?:\\"|[^"])*)"$/);
+        return match ? match[1].replace(/\\"/g, '"') : caption;
+    }
+
+    resolveAlias(actors, name) {
+        // Aliases identify participants, but the caption of a participant without an alias works too
+        if (name === undefined) {
+            return name;
+        }
+        const actor = actors.find(a => a.alias === name) || actors.find(a => a.caption === name);
+        return actor ? actor.alias : name;
+    }
+
+    parseNoteLocation(location, defaultAlign) {
+        // "left of A", "right of A", "over A" or "over A,B" (spanning from A to B)
+        const words = location.trim().split(/\s+/);
+        const align = ['left', 'right', 'over'].includes(words[0]) ? words.shift() : defaultAlign;
+        if (words[0] === 'of') {
+            words.shift();
+        }
+
+        const names = words.join(' ').split(',').map(n => this.unquoteName(n.trim())).filter(n => n);
+        const result = { align, src: names[0] };
+        if (align === 'over' && names.length > 1) {
+            result.dest = names.at(-1);
+        }
+        return result;
+    }
+
+    parseAutonumber(text) {
+        // autonumber [start] [increment] ["format"]
+        // autonumber stop
+        // autonumber resume [increment] ["format"]
+        const tokens = text.match(/"[^"]*"|\S+/g) || [];
+        const action = (tokens[0] === 'stop' || tokens[0] === 'resume') ? tokens.shift() : 'start';
+        const numbers = tokens.filter(t => /^-?\d+$/.test(t)).map(t => parseInt(t, 10));
+        const format = tokens.find(t => t.startsWith('"'));
+
+        const e = { type: 'autonumber', action };
+        if (action === 'start') {
+            e.start = numbers.length > 0 ? numbers.shift() : 1;
+        }
+        if (numbers.length > 0) {
+            e.increment = numbers.shift();
+        }
+        if (format) {
+            e.format = format.slice(1, -1);
+        }
+        return e;
+    }
+
+    formatSequenceNumber(value, format) {
+        if (!format) {
+            return String(value);
+        }
+
+        // Markup such as "<b>" has no meaning in plain text, and a run of "0" or "#" is the zero-padded number
+        const plain = format.replace(/<[^>]*>/g, '');
+        const match = plain.match(/[0#]+/);
+        if (!match) {
+            return plain + value;
+        }
+        const digits = String(value).padStart((match[0].match(/0/g) || []).length, '0');
+        return plain.slice(0, match.index) + digits + plain.slice(match.index + match[0].length);
+    }
+
+    signalCaption(signal) {
+        return (signal.number !== undefined) ? `${signal.number} ${signal.caption}` : signal.caption;
+    }
+
+    trimGuard(text) {
+        // Guards may be written with or without the surrounding brackets, e.g. "loop [retry < 3]"
+        return text.trim().replace(/^\[(.*)\]$/, '$1').trim();
+    }
+
+    splitColor(text, leading = false) {
+        // Separates a color from the text it follows ("A->B: caption #red") or, for fragments, precedes ("alt #eee guard").
+        // A backslash keeps a color as text and is dropped, "A->B: fix \#123" has the caption "fix #123"
+        const match = leading ? text.match(/^\s*(#\w+)(?:\s+(.*))?$/) : text.match(/^(?:(.*)\s)?\s*(#\w+)\s*$/);
+        const color = match && this.parseColor(leading ? match[1] : match[2]);
+        const rest = color ? ((leading ? match[2] : match[1]) || '').trim() : text;
+        return [leading ? rest.replace(/^(\s*)\\(\\*#\w)/, '$1$2') : rest.replace(/(^|\s)\\(\\*#\w+\s*)$/, '$1$2'), color || null];
+    }
+
+    escapeColor(text, leading = false) {
+        // The reverse of splitColor for text without a color, a word that would be read as one gets a backslash
+        const match = leading ? text.match(/^(\\*)(#\w+)/) : text.match(/(?:^|\s)(\\*)(#\w+)$/);
+        if (!match || (!match[1] && !this.parseColor(match[2]))) {
+            return text;
+        }
+        const index = leading ? 0 : text.length - match[1].length - match[2].length;
+        return text.slice(0, index) + '\\' + text.slice(index);
+    }
+
+    parseColor(token) {
+        // "#f80", "#FF8800" and "#ff880080" are hex colors, "#LightBlue" is a color name
+        const value = token.replace(/^#/, '').toLowerCase();
+        if (/^([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/.test(value)) {
+            return '#' + value;
+        }
+        return Object.hasOwn(LocalSequenceDiagrams.NAMED_COLORS, value) ? value : null;
+    }
+
+    parseSkinparamValue(path, value) {
+        // Sizes, radii and widths are numbers, font names are text and everything else is a color
+        const unquoted = value.trim().replace(/^"(.*)"$/, '$1');
+        if (/(size|radius|Width)$/.test(path)) {
+            return /^\d+(\.\d+)?$/.test(unquoted) ? parseFloat(unquoted) : null;
+        }
+        return path.endsWith('family') ? unquoted : this.parseColor(unquoted);
+    }
+
+    hasFootbox(events) {
+        // The participants are repeated at the bottom unless "hide footbox", the last such line wins
+        const footboxes = events.filter(e => e.type === "footbox");
+        return (footboxes.length > 0) ? footboxes.at(-1).visible : true;
+    }
+
+    isBorder(name) {
+        // "[" and "]" stand for the left and right border of the diagram in a message
+        return name === "[" || name === "]";
+    }
+
+    isFigure(actor) {
+        // Actors and the other UML figures draw a symbol above their caption instead of a box around it
+        return ["actor", "boundary", "control", "entity", "icon"].includes(actor.type);
+    }
+
+    participantBoxes(events) {
+        // The box of each participant alias, a participant declared in several boxes is in the last of them
+        const boxes = new Map();
+        events.filter(e => e.type === "box").forEach(box => box.participants.forEach(alias => boxes.set(alias, box)));
+        return boxes;
+    }
+
+    orderActorsByBox(actors, events) {
+        // The participants of a box are kept together, where the first of them is
+        const boxes = this.participantBoxes(events);
+        const ordered = [];
+        for (const actor of actors) {
+            const box = boxes.get(actor.alias);
+            if (!ordered.includes(actor)) {
+                ordered.push(...(box ? actors.filter(a => boxes.get(a.alias) === box) : [actor]));
+            }
+        }
+        return ordered;
+    }
+
+    isAnnotation(e) {
+        // Notes, refs and states are all boxes placed beside, over or spanning lifelines
+        return e.type == "note" || e.type == "ref" || e.type == "state";
+    }
+
+    isSeparator(e) {
+        // Dividers, delays and spaces run across all lifelines
+        return e.type == "divider" || e.type == "delay" || e.type == "space";
+    }
+
+    isDecoration(e) {
+        // Text around the diagram rather than on the lifelines
+        return ["title", "header", "footer", "caption", "legend"].includes(e.type);
+    }
+
+    diagramDecorations(events) {
+        // Decorations by type, the last one of each type wins
+        const decorations = {};
+        events.filter(e => this.isDecoration(e)).forEach(e => decorations[e.type] = e);
+        return decorations;
+    }
+
+    isFragment(e) {
+        // All combined fragments (alt, opt, loop, par, seq) share the same "cases" structure
+        return Array.isArray(e.cases);
+    }
+
+    // Calculations
+
+    calculatePlacements(actors, events, sizes) {
+        // Participants of the same box are next to each other
+        actors.splice(0, actors.length, ...this.orderActorsByBox(actors, events));
+
+        const actorDict = actors.reduce((dict, val, idx) => { dict[val.alias || val.caption] = [val, idx]; return dict; }, {});
+        const gaps = Array.from({ length: actors.length + 1 }, () => 0);
+
+        // Calculate ACTOR gaps and widths
+
+        for (let i = 0; i < actors.length; i++) {
+            const actor = actors[i];
+            const bbox = sizes.calculateTextDimensions(actor.caption, "participant");
+            const shape = sizes.participantShapes[actor.type] || { width: 0, height: this.isFigure(actor) ? sizes.actorStickmanHeight : 0 };
+
+            actor.height = bbox.height + 2 * sizes.padding + shape.height;
+            actor.width = bbox.width + 2 * sizes.padding + shape.width;
+
+            gaps[i] += (actor.width / 2) + sizes.padding;
+            gaps[i+1] += (actor.width / 2) + sizes.padding;
+        }
+
+        // Calculate SEQUENCE numbers
+        // (Numbers are part of the signal captions, so they are needed before measuring the text)
+
+        this.calculateSequenceNumbers(events, { enabled: false, value: 1, increment: 1, format: null });
+
+        // Calculate EVENT gaps and widths
+        // (Notes and signal captions can affect actor placement)
+
+        let gapMinSizeBetweenLanes = this.calculateLaneGapsAndTextSize(actorDict, events, sizes);
+
+        // Calculate BOX sizes
+        // (A box adds room around its participants, and is wide enough for its caption)
+
+        const boxOf = this.participantBoxes(events);
+        const boxes = [...new Set(actors.map(a => boxOf.get(a.alias)).filter(box => box))];
+        for (const box of boxes) {
+            const bbox = sizes.calculateTextDimensions(box.caption || " ", "box");
+            box.textWidth = box.caption ? bbox.width : 0;
+            box.textHeight = box.caption ? bbox.height : 0;
+
+            const first = actors.findIndex(a => boxOf.get(a.alias) === box);
+            const last = actors.findLastIndex(a => boxOf.get(a.alias) === box);
+            const captionWidth = box.textWidth + 2 * sizes.padding;
+            if (first < last) {
+                gapMinSizeBetweenLanes.push([first, last, captionWidth - (actors[first].width + actors[last].width) / 2]);
+            }
+            box.margin = (first == last) ? Math.max(0, (captionWidth - actors[first].width) / 2) : 0;
+        }
+
+        // The edges of a box keep a padding from the diagram and from the participants next to it
+        const side = (actor) => {
+            const box = actor && boxOf.get(actor.alias);
+            return !actor ? 0 : actor.width / 2 + (box ? sizes.padding + box.margin : 0);
+        };
+        for (let i = 0; i <= actors.length; i++) {
+            const left = actors[i-1];
+            const right = actors[i];
+            if ((left && boxOf.get(left.alias)) !== (right && boxOf.get(right.alias))) {
+                gapMinSizeBetweenLanes.push([i-1, i, side(left) + side(right) + ((left && right) ? 2 : 1) * sizes.padding]);
+            }
+        }
+
+        // Distribute the needed space between the lanes if there's not enough room
+        // First, CONTIGUOUS and SAME lanes
+
+        for (let i = 0; i < gapMinSizeBetweenLanes.length; i++) {
+            const g = gapMinSizeBetweenLanes[i];
+
+            var idx1 = Math.min(g[0], g[1]);
+            var idx2 = Math.max(g[0], g[1]);
+
+            // Contiguous
+            if (idx1+1 == idx2 && gaps[idx1+1] < g[2]) {
+                gaps[idx1+1] = g[2];
+            }
+            // Same lane
+            if (idx1 == idx2 && gaps[idx1] < g[2]) {
+                gaps[idx1] = g[2];
+            }
+        }
+
+        // Distribute the needed space between the lanes if there's not enough room
+        // Second, evenly distribute multi-lane gaps
+
+        for (let i = 0; i < gapMinSizeBetweenLanes.length; i++) {
+            const g = gapMinSizeBetweenLanes[i];
+
+            var idx1 = Math.min(g[0], g[1]);
+            var idx2 = Math.max(g[0], g[1]);
+
+            let totalGap = 0;
+            for (let j = idx1; j < idx2; j++) {
+                totalGap += gaps[j];
+            }
+
+            if (idx1+1 < idx2 && gaps[idx1+1] < g[2]) {
+                let extraGap = (g[2] - totalGap) / (idx2 - idx1);
+                if (extraGap > 0) {
+                    for (let j = idx1; j < idx2; j++) {
+                        gaps[j+1] += extraGap;
+                    }
+                }
+            }
+        }
+
+        // Calculate DECORATION sizes
+        // (The header and title push the participants down, a legend gets a frame)
+
+        const decorations = this.diagramDecorations(events);
+        for (const e of Object.values(decorations)) {
+            const bbox = sizes.calculateTextDimensions(e.caption.replace(/\n$/, ''), e.type);
+            const frame = (e.type == "legend") ? 2 * sizes.padding : 0;
+            e.width = bbox.width + frame;
+            e.height = bbox.height + frame;
+        }
+
+        let top = sizes.padding;
+        for (const e of [decorations.header, decorations.title].filter(e => e)) {
+            e.y = top;
+            top += e.height + sizes.padding;
+        }
+
+        // The captions of the boxes go above the participants
+        for (const box of boxes) {
+            box.y = top;
+        }
+        if (boxes.length > 0) {
+            top += Math.max(...boxes.map(box => box.textHeight)) + sizes.padding;
+        }
+
+        // Participants are centered below a title that is wider than them
+        const decorationWidth = Math.max(0, ...Object.values(decorations).map(e => e.width + 2 * sizes.padding));
+        const lanesWidth = gaps.reduce((sum, gap) => sum + gap, 0);
+        if (decorationWidth > lanesWidth) {
+            gaps[0] += (decorationWidth - lanesWidth) / 2;
+            gaps[gaps.length - 1] += (decorationWidth - lanesWidth) / 2;
+        }
+
+        // Calculate ACTOR locations
+
+        let actorOffsetX = gaps[0];
+        let actorMaxHeight = 0;
+        for (let i = 0; i < actors.length; i++) {
+            const actor = actors[i];
+            actor.lineX = actorOffsetX;
+            actor.x = actor.lineX - actor.width / 2;
+            actor.y = top;
+            actor.activations = [];
+            actor.activationStack = [];
+            actor.destroyY = undefined;
+            if (!actor.created) {
+                actorMaxHeight = Math.max(actorMaxHeight, actor.height);
+            }
+            actorOffsetX += gaps[i+1];
+        }
+
+        for (const box of boxes) {
+            const members = actors.filter(a => boxOf.get(a.alias) === box);
+            const left = Math.min(...members.map(a => a.x)) - sizes.padding - box.margin;
+            const right = Math.max(...members.map(a => a.x + a.width)) + sizes.padding + box.margin;
+            box.x = left;
+            box.width = right - left;
+        }
+
+        // Calculate EVENT locations
+
+        let y = this.calculateEventPlacements(actorDict, events, top + actorMaxHeight + sizes.padding, actorOffsetX, sizes);
+
+        // Calculate ACTOR sizes
+        // (Lifelines stop at a destroy, activations that were never deactivated are closed at the end of the lifeline)
+
+        const delays = [];
+        this.containsEvent(events, e => {
+            if (e.type == "delay") {
+                delays.push(e);
+            }
+            return false;
+        });
+
+        const footbox = this.hasFootbox(events);
+        let footMaxHeight = 0;
+        for (let i = 0; i < actors.length; i++) {
+            const actor = actors[i];
+            actor.lineY = (actor.destroyY !== undefined) ? actor.destroyY : y + sizes.padding;
+
+            // Delays break the lifelines that they cross
+            actor.breaks = delays.filter(d => d.y >= actor.y + actor.height && d.y + d.height <= actor.lineY);
+
+            // Participants are repeated at the end of their lifeline, unless they were destroyed
+            actor.footY = (footbox && actor.destroyY === undefined) ? actor.lineY : undefined;
+            if (actor.footY !== undefined) {
+                footMaxHeight = Math.max(footMaxHeight, actor.height);
+            }
+
+            while (actor.activationStack.length > 0) {
+                const bar = actor.activationStack.pop();
+                bar.height = Math.max(Math.min(y, actor.lineY) - bar.y, sizes.padding);
+            }
+        }
+
+        let height = (footMaxHeight > 0) ? y + 2 * sizes.padding + footMaxHeight : y;
+
+        // Boxes reach below the end of the lifelines and the footbox
+        let bottom = y + sizes.padding + footMaxHeight;
+        if (boxes.length > 0) {
+            bottom += sizes.padding;
+            for (const box of boxes) {
+                box.height = bottom - box.y;
+            }
+            height = bottom + sizes.padding;
+        }
+
+        // Calculate DECORATION locations
+        // (The legend, caption and footer go below the end of the lifelines, the diagram is as wide as the widest text)
+
+        const below = [decorations.legend, decorations.caption, decorations.footer].filter(e => e);
+        if (below.length > 0) {
+            for (const e of below) {
+                e.y = bottom + sizes.padding;
+                bottom = e.y + e.height;
+            }
+            height = bottom + sizes.padding;
+        }
+
+        const width = Math.max(actorOffsetX, decorationWidth);
+        for (const e of Object.values(decorations)) {
+            e.x = (e.align == "left") ? sizes.padding
+                : (e.align == "right") ? width - sizes.padding - e.width
+                : (width - e.width) / 2;
+        }
+
+        return { width, height };
+    }
+
+    calculateSequenceNumbers(events, state) {
+        // Numbering follows the order of the script, continuing through nested fragments and blocks
+        for (const e of events) {
+            if (e.type == "autonumber") {
+                if (e.action == "start") {
+                    state.value = e.start;
+                }
+                state.enabled = (e.action != "stop");
+                state.increment = (e.increment !== undefined) ? e.increment : (e.action == "start" ? 1 : state.increment);
+                state.format = (e.format !== undefined) ? e.format : (e.action == "start" ? null : state.format);
+            }
+            else if (e.type == "signal") {
+                e.number = undefined;
+                if (state.enabled) {
+                    e.number = this.formatSequenceNumber(state.value, state.format);
+                    state.value += state.increment;
+                }
+            }
+            else if (this.isFragment(e)) {
+                for (const c of e.cases) {
+                    this.calculateSequenceNumbers(c.events, state);
+                }
+            }
+            else if (e.type == "parallel" || e.type == "serial") {
+                this.calculateSequenceNumbers(e.events, state);
+            }
+        }
+    }
+
+    calculateLaneGapsAndTextSize(actorDict, events, sizes) {
+        let gapMinSizeBetweenLanes = [];
+
+        for (let i = 0; i < events.length; i++) {
+            const e = events[i];
+            if (e.type == "signal") {
+                const lanes = this.signalLanes(actorDict, e);
+                if (lanes) {
+                    const bbox = sizes.calculateTextDimensions(this.signalCaption(e), "message");
+                    e.width = bbox.width;
+                    e.height = bbox.height;
+
+                    // The arrow of a creating message stops at the side of the new participant's box
+                    const createWidth = (e.create && e.src != e.dest) ? actorDict[e.dest][0].width / 2 : 0;
+
+                    // The left border is only next to the first lane
+                    const [idx1, idx2] = lanes.map(idx => (idx == -1 && Math.max(...lanes) > 0) ? 0 : idx);
+                    if (e.src == e.dest) {
+                        // A self-message loops out to the right of its lifeline, with the caption beside the loop
+                        gapMinSizeBetweenLanes.push([idx1, idx1 + 1, sizes.activationWidth + sizes.selfLoopWidth + bbox.width + 2 * sizes.padding]);
+                    } else {
+                        gapMinSizeBetweenLanes.push([idx1, idx2, bbox.width + 2 * sizes.padding + createWidth]);
+                    }
+                }
+            }
+            else if (this.isAnnotation(e)) {
+                let a1 = actorDict[e.src];
+                let a2 = actorDict[e.dest || e.src];
+                if (a1 && a2) {
+                    const bbox = sizes.calculateTextDimensions(e.caption, e.type);
+                    e.width = bbox.width + 2 * sizes.padding;
+                    e.height = bbox.height + 2 * sizes.padding;
+
+                    // A ref frame has its "ref" label above the caption
+                    if (e.type == "ref") {
+                        e.labelWidth = sizes.calculateTextDimensions(e.type, "fragment").width + 2 * sizes.padding;
+                        e.width = Math.max(e.width, e.labelWidth + 3 * sizes.padding);
+                        e.height += sizes.altHeaderHeight + sizes.padding;
+                    }
+
+                    // Reserve the room on the side of the lifeline where the note is drawn
+                    const idx1 = Math.min(a1[1], a2[1]);
+                    const idx2 = Math.max(a1[1], a2[1]);
+                    if (e.align == "left") {
+                        gapMinSizeBetweenLanes.push([idx1 - 1, idx1, e.width + 2 * sizes.padding]);
+                    }
+                    else if (e.align == "over" && idx1 == idx2) {
+                        gapMinSizeBetweenLanes.push([idx1 - 1, idx1, e.width / 2 + 2 * sizes.padding]);
+                        gapMinSizeBetweenLanes.push([idx1, idx1 + 1, e.width / 2 + 2 * sizes.padding]);
+                    }
+                    else if (e.align == "over") {
+                        gapMinSizeBetweenLanes.push([idx1, idx2, e.width - 2 * sizes.noteMarginX]);
+                        gapMinSizeBetweenLanes.push([idx1 - 1, idx1, sizes.noteMarginX + sizes.padding]);
+                        gapMinSizeBetweenLanes.push([idx2, idx2 + 1, sizes.noteMarginX + sizes.padding]);
+                    }
+                    else {
+                        gapMinSizeBetweenLanes.push([idx1, idx1 + 1, e.width + 2 * sizes.padding]);
+                    }
+                }
+            }
+            else if (this.isFragment(e)) {
+                e.labelWidth = sizes.calculateTextDimensions(e.type, "fragment").width + 2 * sizes.padding;
+
+                // The frame spans all lanes, so it needs to be wide enough for the label and guards
+                const lastLane = Object.keys(actorDict).length - 1;
+                for (let c = 0; c < e.cases.length; c++) {
+                    const guardWidth = e.cases[c].caption ? sizes.calculateTextDimensions(`[${e.cases[c].caption}]`, "fragment").width : 0;
+                    const labelWidth = (c == 0) ? e.labelWidth : 0;
+                    gapMinSizeBetweenLanes.push([0, Math.max(lastLane, 0), labelWidth + guardWidth + 2 * sizes.padding]);
+                }
+
+                for (let c = 0; c < e.cases.length; c++) {
+                    const gaps = this.calculateLaneGapsAndTextSize(actorDict, e.cases[c].events, sizes);
+                    gapMinSizeBetweenLanes = gapMinSizeBetweenLanes.concat(gaps);
+                }
+            }
+            else if (e.type == "divider" || e.type == "delay") {
+                // Dividers and delays span all lanes, an empty caption still takes a line of text
+                const bbox = sizes.calculateTextDimensions(e.caption || " ", e.type);
+                e.textWidth = e.caption ? bbox.width : 0;
+                e.textHeight = bbox.height;
+
+                const lastLane = Object.keys(actorDict).length - 1;
+                gapMinSizeBetweenLanes.push([0, Math.max(lastLane, 0), e.textWidth + 4 * sizes.padding]);
+            }
+            else if (e.type == "parallel" || e.type == "serial") {
+                const gaps = this.calculateLaneGapsAndTextSize(actorDict, e.events, sizes);
+                gapMinSizeBetweenLanes = gapMinSizeBetweenLanes.concat(gaps);
+            }
+        }
+
+        return gapMinSizeBetweenLanes;
+    }
+
+    calculateEventPlacements(actorDict, events, startY, totalWidth, sizes, depth = 0) {
+        let y = startY;
+        for (let i = 0; i < events.length; i++) {
+            const e = events[i];
+            if (e.type == "signal") {
+                let a1 = actorDict[e.src];
+                let a2 = actorDict[e.dest];
+                if (this.signalLanes(actorDict, e) && (!a1 || !a2)) {
+                    // Messages to and from the border of the diagram stop a padding short of it, or of the fragments around them
+                    const inset = sizes.padding + depth * sizes.fragmentInset;
+                    const borderX = (name) => (name == "[") ? inset : totalWidth - inset;
+                    e.startX = a1 ? this.calculateActivationEdgeX(a1[0], borderX(e.dest)) : borderX(e.src);
+                    e.endX = a2 ? this.calculateActivationEdgeX(a2[0], borderX(e.src)) : borderX(e.dest);
+                    e.startY = y + e.height;
+                    e.endY = y + e.height;
+                    y += e.height + sizes.signalMargin;
+                }
+                else if (a1 && e.src == e.dest) {
+                    // A self-message leaves at startY and comes back at endY, the loop is at least as high as its caption
+                    e.startX = this.calculateActivationEdgeX(a1[0], a1[0].lineX);
+                    e.endX = e.startX;
+                    e.startY = y;
+                    e.endY = y + Math.max(sizes.selfLoopHeight, e.height);
+                    e.loopX = e.startX + sizes.selfLoopWidth;
+                    e.textX = e.loopX + sizes.padding;
+                    e.textY = (e.startY + e.endY - e.height) / 2 + sizes.signalLineOffset + sizes.messageAscent;
+                    y = e.endY + sizes.signalMargin;
+                }
+                else if (a1 && a2) {
+                    e.startX = this.calculateActivationEdgeX(a1[0], a2[0].lineX);
+                    e.endX = this.calculateActivationEdgeX(a2[0], a1[0].lineX);
+                    e.startY = y + e.height;
+                    e.endY = y + e.height;
+                    y += e.height + sizes.signalMargin;
+
+                    // A created participant's header is centered on the arrow, which ends on the side of the box
+                    if (e.create && e.src != e.dest) {
+                        const actor = a2[0];
+                        actor.y = e.endY + sizes.signalLineOffset - Math.floor(actor.height / 2);
+                        e.endX = (a1[0].lineX < actor.lineX) ? actor.x : actor.x + actor.width;
+                        y = Math.max(y, actor.y + actor.height + sizes.padding);
+                    }
+                }
+            }
+            else if (this.isAnnotation(e)) {
+                let a1 = actorDict[e.src];
+                let a2 = actorDict[e.dest || e.src];
+                if (a1 && a2) {
+                    const leftX = Math.min(a1[0].lineX, a2[0].lineX);
+                    const rightX = Math.max(a1[0].lineX, a2[0].lineX);
+                    if (e.align == "left") {
+                        e.x = leftX - sizes.noteMarginX - e.width;
+                    }
+                    else if (e.align == "over" && leftX == rightX) {
+                        e.x = leftX - e.width / 2;
+                    }
+                    else if (e.align == "over") {
+                        e.x = leftX - sizes.noteMarginX;
+                        e.width = Math.max(e.width, rightX - leftX + sizes.lifelineWidth + 2 * sizes.noteMarginX);
+                    }
+                    else {
+                        e.x = leftX + sizes.noteMarginX;
+                    }
+                    e.y = y;
+                    e.textMarginX = sizes.noteTextMarginX;
+                    e.textMarginY = sizes.noteTextMarginY + (e.type == "ref" ? sizes.altHeaderHeight : 0);
+                    y += sizes.noteMarginY + e.height;
+                }
+            }
+            else if (e.type == "activate") {
+                let a1 = actorDict[e.src];
+                if (a1) {
+                    const actor = a1[0];
+                    const prev = events[i-1];
+                    const level = actor.activationStack.length;
+                    const bar = {
+                        x: actor.lineX - sizes.activationWidth / 2 + level * sizes.activationOffset,
+                        y: this.isSignalTouchingActor(prev, e.src) ? prev.endY + sizes.signalLineOffset : y,
+                        width: sizes.activationWidth,
+                        level
+                    };
+                    actor.activationStack.push(bar);
+                    actor.activations.push(bar);
+
+                    // The message that started the activation ends on the edge of the new bar, found messages start at the border
+                    if (this.isSignalTouchingActor(prev, e.src) && prev.dest == e.src) {
+                        const srcX = this.isBorder(prev.src) ? prev.startX : actorDict[prev.src][0].lineX;
+                        prev.endX = this.calculateActivationEdgeX(actor, srcX);
+                    }
+                }
+            }
+            else if (e.type == "destroy") {
+                let a1 = actorDict[e.src];
+                if (a1) {
+                    const prev = events[i-1];
+                    if (this.isSignalTouchingActor(prev, e.src)) {
+                        a1[0].destroyY = prev.endY + sizes.signalLineOffset;
+                    } else {
+                        a1[0].destroyY = y;
+                        y += sizes.signalMargin;
+                    }
+                }
+            }
+            else if (e.type == "deactivate") {
+                let a1 = actorDict[e.src];
+                if (a1 && a1[0].activationStack.length > 0) {
+                    const prev = events[i-1];
+                    const bar = a1[0].activationStack.pop();
+                    const endY = this.isSignalTouchingActor(prev, e.src) ? prev.endY + sizes.signalLineOffset : y;
+                    bar.height = Math.max(endY - bar.y, sizes.padding);
+                }
+            }
+            else if (this.isFragment(e)) {
+                // Nested fragments are inset so that their frames do not overlap the outer frame
+                e.x = depth * sizes.fragmentInset;
+                e.y = y;
+
+                for (let c = 0; c < e.cases.length; c++) {
+                    const startY = y;
+                    y += sizes.altHeaderHeight;
+                    let endY = this.calculateEventPlacements(actorDict, e.cases[c].events, y, totalWidth, sizes, depth + 1);
+                    let caseHeight = endY - startY;
+                    e.cases[c].height = caseHeight;
+                    y = endY;
+                }
+                e.height = y - e.y + 1;
+                e.width = totalWidth - 2 * e.x;
+
+                y += sizes.altMarginBottom;
+            }
+            else if (e.type == "divider") {
+                // Like fragments, dividers stay inside the frames around them
+                e.x = depth * sizes.fragmentInset;
+                e.y = y;
+                e.width = totalWidth - 2 * e.x;
+                e.height = e.textHeight + 2 * sizes.dividerPadding;
+                y += e.height + sizes.noteMarginY;
+            }
+            else if (e.type == "delay") {
+                // The lifelines are dotted over the height of the delay (see calculatePlacements)
+                e.x = depth * sizes.fragmentInset;
+                e.y = y;
+                e.width = totalWidth - 2 * e.x;
+                e.height = e.textHeight + 2 * sizes.padding;
+                y += e.height + sizes.padding;
+            }
+            else if (e.type == "space") {
+                y += (e.size !== undefined) ? Math.round(e.size * sizes.spacePerPixel) : sizes.spaceHeight;
+            }
+            else if (e.type == "parallel") {
+                y = this.calculateParallelPlacements(actorDict, e.events, y, totalWidth, sizes, depth);
+            }
+            else if (e.type == "serial") {
+                y = this.calculateEventPlacements(actorDict, e.events, y, totalWidth, sizes, depth);
+            }
+        }
+        return y;
+    }
+
+    calculateParallelPlacements(actorDict, events, startY, totalWidth, sizes, depth) {
+        // Keep lifetime events together with the event they follow (e.g. the "+" in "A->+B")
+        const items = [];
+        for (const e of events) {
+            if (["activate", "deactivate", "destroy"].includes(e.type) && items.length > 0) {
+                items.at(-1).push(e);
+            } else {
+                items.push([e]);
+            }
+        }
+
+        // Events share a row until one of them needs a lane that is already occupied in that row,
+        // at which point a new row starts below the tallest event of the current row
+        let rowY = startY;
+        let endY = startY;
+        let occupiedLanes = [];
+        for (const item of items) {
+            const lanes = item.map(e => this.calculateLaneRange(actorDict, e)).filter(r => r);
+            const collides = lanes.some(r => occupiedLanes.some(o => r[0] <= o[1] && o[0] <= r[1]));
+            if (collides) {
+                rowY = endY;
+                occupiedLanes = [];
+            }
+            occupiedLanes = occupiedLanes.concat(lanes);
+            endY = Math.max(endY, this.calculateEventPlacements(actorDict, item, rowY, totalWidth, sizes, depth));
+        }
+        return endY;
+    }
+
+    calculateLaneRange(actorDict, e) {
+        // Returns the [first, last] lane indexes that an event occupies, or null if it takes no room
+        const lane = (caption) => actorDict[caption] ? actorDict[caption][1] : undefined;
+        const union = (ranges) => {
+            ranges = ranges.filter(r => r);
+            return ranges.length == 0 ? null : [Math.min(...ranges.map(r => r[0])), Math.max(...ranges.map(r => r[1]))];
+        };
+
+        if (e.type == "signal") {
+            // The border lanes are outside of the diagram, the message occupies the lanes up to the border
+            const lanes = this.signalLanes(actorDict, e);
+            const last = Object.keys(actorDict).length - 1;
+            return !lanes ? null : [Math.max(Math.min(...lanes), 0), Math.min(Math.max(...lanes), last)];
+        }
+        else if (this.isAnnotation(e)) {
+            const idx1 = lane(e.src);
+            const idx2 = lane(e.dest || e.src);
+            if (idx1 === undefined || idx2 === undefined) {
+                return null;
+            }
+            if (e.align == "left") {
+                return [idx1 - 1, idx1];
+            }
+            if (e.align == "over") {
+                return [Math.min(idx1, idx2), Math.max(idx1, idx2)];
+            }
+            return [idx1, idx1 + 1];
+        }
+        else if (["activate", "deactivate", "destroy"].includes(e.type)) {
+            const idx = lane(e.src);
+            return (idx === undefined) ? null : [idx, idx];
+        }
+        else if (this.isFragment(e) || e.type == "divider" || e.type == "delay") {
+            // Frames and separators span the full width of the diagram
+            return [0, Object.keys(actorDict).length - 1];
+        }
+        else if (e.type == "parallel" || e.type == "serial") {
+            return union(e.events.map(child => this.calculateLaneRange(actorDict, child)));
+        }
+        return null;
+    }
+
+    signalLanes(actorDict, e) {
+        // The lane indexes of both ends of a message, or null if a participant is missing.
+        // The left border "[" is the lane before the first one and the right border "]" the lane after the last one
+        const lane = (name) => (name == "[") ? -1
+            : (name == "]") ? Object.keys(actorDict).length
+            : (actorDict[name] ? actorDict[name][1] : undefined);
+        const idx1 = lane(e.src);
+        const idx2 = lane(e.dest);
+        return (idx1 === undefined || idx2 === undefined || (this.isBorder(e.src) && this.isBorder(e.dest))) ? null : [idx1, idx2];
+    }
+
+    calculateActivationEdgeX(actor, towardX) {
+        // Arrows end on the edge of the innermost activation bar facing the other lifeline
+        const bar = actor.activationStack.at(-1);
+        if (!bar) {
+            return actor.lineX;
+        }
+        return (towardX < actor.lineX) ? bar.x : bar.x + bar.width;
+    }
+
+    isSignalTouchingActor(e, src) {
+        return !!e && e.type == "signal" && (e.src == src || e.dest == src) && e.startY !== undefined;
+    }
+
+    // SVG THEME
+
+    themeFont(kind) {
+        const fontKind = (kind == "ref" || kind == "state") ? "note" : kind;
+        return { ...this.theme.font, ...this.theme.fonts[fontKind] };
+    }
+
+    // Distance from the top of a line of text to its baseline
+    themeFontAscent(kind) {
+        return Math.round(0.8 * this.themeFont(kind).size);
+    }
+
+    themeStroke(element) {
+        return this.theme[element].stroke || this.theme.foreground;
+    }
+
+    themeFill(element) {
+        const fill = this.theme[element].fill;
+        return (fill === null || fill === undefined) ? this.theme.background : fill;
+    }
+
+    themeOutline(element) {
+        return { stroke: this.themeStroke(element), "stroke-width": `${this.theme.strokeWidth}px` };
+    }
+
+    themeCorners(element) {
+        const radius = this.theme[element].radius;
+        return radius ? { rx: radius, ry: radius } : {};
+    }
+
+    // Text gets an outline in the color behind it, which keeps it readable where it crosses lines
+    themeTextStyle(kind, background = null) {
+        const font = this.themeFont(kind);
+        const fill = background || this.theme[kind].fill;
+        const outline = (fill && fill != "none") ? fill : this.theme.background;
+        return `font-size: ${font.size}px; font-family: ${font.family}; font-weight: ${font.weight}; fill: ${this.theme[kind].text || this.theme.foreground}; stroke: ${outline}; stroke-width: 4; paint-order: stroke fill;`;
+    }
+
+    // SVG CALCULATE TEXT SIZE
+
+    calculateTextDimensionsSvg(content, kind = "message") {
+        const svg = this.createSvgElement("svg", { width: 600, height: 600 });
+        const text = this.drawSvgText(0, 0, content, "left", null, kind);
+        svg.appendChild(text);
+
+        // Temporarily add the SVG element to the document
+        this.doc.body.appendChild(svg);
+
+        const bbox = text.getBBox();
+
+        // Remove the temporary SVG element from the document
+        this.doc.body.removeChild(svg);
+
+        return bbox;
+    }
+
+    // SVG RENDERING
+
+    renderSvgElements(actors, events, width, height, sizes, background = null) {
+        const svgCanvas = this.createSvgElement("svg", { width, height });
+        const decorations = this.diagramDecorations(events);
+
+        // The title is also the accessible name of the image
+        if (decorations.title) {
+            const title = this.createSvgElement("title", {});
+            title.textContent = decorations.title.caption.trim().replace(/\s*(\n|\\n)\s*/g, ' ');
+            svgCanvas.appendChild(title);
+        }
+
+        // Every color of a message needs its own arrowheads
+        const colors = new Set();
+        this.containsEvent(events, e => {
+            if (e.type == "signal" && e.color) {
+                colors.add(e.color);
+            }
+            return false;
+        });
+        this.createArrowDefinitions(svgCanvas, [...colors]);
+
+        if (background) {
+            svgCanvas.appendChild(this.createSvgElement("rect", { x: 0, y: 0, width, height, fill: background }));
+        }
+
+        // Boxes and filled fragments go behind the lifelines, which are drawn with the participants
+        for (const box of new Set(this.participantBoxes(events).values())) {
+            svgCanvas.appendChild(this.drawSvgParticipantBox(box, sizes));
+        }
+        this.renderSvgFragmentBackgrounds(svgCanvas, events);
+
+        for (let i = 0; i < actors.length; i++) {
+            svgCanvas.appendChild(this.drawSvgParticipant(actors[i], sizes));
+        }
+
+        this.renderSvgNestedEvents(svgCanvas, events, sizes);
+
+        for (const e of Object.values(decorations)) {
+            svgCanvas.appendChild(this.drawSvgDecoration(e, sizes));
+        }
+
+        return svgCanvas;
+    }
+
+    drawSvgDecoration(e, sizes) {
+        const caption = e.caption.replace(/\n$/, '');
+        if (e.type == "legend") {
+            const group = this.createSvgElement("g", {});
+            group.appendChild(this.createSvgElement("rect", {
+                x: e.x,
+                y: e.y,
+                width: e.width,
+                height: e.height,
+                ...this.themeCorners("legend"),
+                fill: this.themeFill("legend"),
+                ...this.themeOutline("legend")
+            }));
+            group.appendChild(this.drawSvgText(e.x + sizes.padding, e.y + sizes.padding + this.themeFontAscent("legend"), caption, "left", null, "legend"));
+            return group;
+        }
+
+        // Headers and footers follow their alignment, the title and caption are centered
+        const anchor = { left: "left", right: "end" }[e.align] || "middle";
+        const x = (anchor == "left") ? e.x : (anchor == "end") ? e.x + e.width : e.x + e.width / 2;
+        return this.drawSvgText(x, e.y + this.themeFontAscent(e.type), caption, anchor, null, e.type);
+    }
+
+    renderSvgFragmentBackgrounds(svgCanvas, events) {
+        this.containsEvent(events, e => {
+            const fill = this.isFragment(e) && (e.color || this.themeFill("fragment"));
+            if (fill && fill != "none") {
+                svgCanvas.appendChild(this.createSvgElement("rect", {
+                    x: e.x,
+                    y: e.y,
+                    width: e.width,
+                    height: e.height,
+                    ...this.themeCorners("fragment"),
+                    fill
+                }));
+            }
+            return false;
+        });
+    }
+
+    renderSvgNestedEvents(svgCanvas, events, sizes) {
+        for (let i = 0; i < events.length; i++) {
+            const e = events[i];
+            if (e.type == "signal") {
+                svgCanvas.appendChild(this.drawSvgArrow(e));
+            }
+            else if (e.type == "note") {
+                svgCanvas.appendChild(this.drawSvgNoteBox(e));
+            }
+            else if (e.type == "ref") {
+                svgCanvas.appendChild(this.drawSvgRefBox(e, sizes));
+            }
+            else if (e.type == "state") {
+                svgCanvas.appendChild(this.drawSvgStateBox(e));
+            }
+            else if (this.isFragment(e)) {
+                svgCanvas.appendChild(this.drawSvgAltBox(e, sizes));
+            }
+            else if (e.type == "divider") {
+                svgCanvas.appendChild(this.drawSvgDivider(e, sizes));
+            }
+            else if (e.type == "delay" && e.caption) {
+                const textY = e.y + (e.height - e.textHeight) / 2 + this.themeFontAscent("delay");
+                svgCanvas.appendChild(this.drawSvgText(e.x + e.width / 2, textY, e.caption, "middle", null, "delay"));
+            }
+            else if (e.type == "parallel" || e.type == "serial") {
+                this.renderSvgNestedEvents(svgCanvas, e.events, sizes);
+            }
+        }
+    }
+
+    createSvgElement(type, attributes) {
+        const element = this.doc.createElementNS("http://www.w3.org/2000/svg", type);
+        for (const attr in attributes) {
+            element.setAttribute(attr, attributes[attr]);
+        }
+        return element;
+    }
+
+    createArrowDefinitions(svgElement, colors = []) {
+        const defs = this.createSvgElement("defs", {});
+        for (const color of [null, ...colors]) {
+            const stroke = color || this.themeStroke("message");
+            const strokeWidth = `${this.theme.strokeWidth}px`;
+            const suffix = this.arrowMarkerSuffix(color);
+            defs.appendChild(this.createArrowFromPath("arrowClosedRight" + suffix, "M0,-5L10,0L0,5", stroke, stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowOpenRight" + suffix, "M0,-5L10,0M10,0L0,5", "none", stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowClosedLeft" + suffix, "M10,-5L0,0L10,5", stroke, stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowOpenLeft" + suffix, "M10,-5L0,0M0,0L10,5", "none", stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowHalfUpperRight" + suffix, "M0,-5L10,0", "none", stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowHalfLowerRight" + suffix, "M0,5L10,0", "none", stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowHalfUpperLeft" + suffix, "M10,-5L0,0", "none", stroke, strokeWidth));
+            defs.appendChild(this.createArrowFromPath("arrowHalfLowerLeft" + suffix, "M10,5L0,0", "none", stroke, strokeWidth));
+        }
+        svgElement.appendChild(defs);
+    }
+
+    arrowMarkerSuffix(color) {
+        return color ? "-" + color.replace(/[^a-z0-9]/g, "") : "";
+    }
+
+    createArrowFromPath(id, pathD, fill, stroke, strokeWidth) {
+        const marker = this.createSvgElement("marker", {
+            id: id,
+            viewBox: "0 -5 10 10",
+            refX: 5,
+            refY: 0,
+            markerWidth: 6,
+            markerHeight: 6,
+            orient: "auto"
+        });
+        const path = this.createSvgElement("path", {
+            d: pathD,
+            class: "arrowHead",
+            fill: fill,
+            stroke: stroke,
+            "stroke-width": strokeWidth
+        });
+        marker.appendChild(path);
+        return marker;
+    }
+
+    drawSvgText(x, y, content, textAnchor = "left", transform = null, kind = "message", background = null) {
+        let textParams = {
+            x, y,
+            "text-anchor": "left",
+            "dominant-baseline": "top",
+            "text-anchor": textAnchor
+        };
+
+        if (transform !== null) {
+            textParams["transform"] = transform;
+        }
+
+        const text = this.createSvgElement("text", textParams);
+        text.setAttribute("style", this.themeTextStyle(kind, background));
+
+        let isFirst = true;
+        const lines = content.split(/\n|\\n/);
+        for (const line of lines) {
+            const span = this.createSvgElement("tspan", { x, dy: isFirst ? "0" : "1em" });
+            span.textContent = line;
+            text.appendChild(span);
+            isFirst = false;
+        }
+
+        return text;
+    }
+
+    drawSvgStickman(actor) {
+        let x = actor.lineX - 9;
+        let y = actor.y;
+        const stroke = this.themeStroke("participant");
+        const group = this.createSvgElement("g", { width: 40, height: 40, "stroke-width": `${this.theme.strokeWidth}px` });
+        const head = this.createSvgElement("circle", { cx: x + 10, cy: y, r: 6, fill: actor.color || this.themeFill("participant"), stroke });
+        const body = this.createSvgElement("line", { x1: x + 10, y1: y + 6, x2: x + 10, y2: y + 18, stroke });
+        const leftArm = this.createSvgElement("line", { x1: x + 10, y1: y + 14, x2: x + 2, y2: y + 10, stroke });
+        const rightArm = this.createSvgElement("line", { x1: x + 10, y1: y + 14, x2: x + 18, y2: y + 10, stroke });
+        const leftLeg = this.createSvgElement("line", { x1: x + 10, y1: y + 18, x2: x + 2, y2: y + 26, stroke });
+        const rightLeg = this.createSvgElement("line", { x1: x + 10, y1: y + 18, x2: x + 18, y2: y + 26, stroke });
+        group.appendChild(head);
+        group.appendChild(body);
+        group.appendChild(leftArm);
+        group.appendChild(rightArm);
+        group.appendChild(rightLeg);
+        group.appendChild(leftLeg);
+        return group;
+    }
+
+    drawSvgFigure(actor) {
+        // The UML symbols of boundary, control and entity objects, and icons, in the space of a stickman
+        const x = actor.lineX;
+        const y = actor.y;
+        const fill = actor.color || this.themeFill("participant");
+        const outline = this.themeOutline("participant");
+        const group = this.createSvgElement("g", {});
+
+        if (actor.type == "boundary") {
+            group.appendChild(this.createSvgElement("circle", { cx: x + 4, cy: y + 8, r: 9, fill, ...outline }));
+            group.appendChild(this.createSvgElement("path", { d: `M ${x - 14} ${y - 1} V ${y + 17} M ${x - 14} ${y + 8} H ${x - 5}`, fill: "none", ...outline }));
+        } else if (actor.type == "control") {
+            group.appendChild(this.createSvgElement("circle", { cx: x, cy: y + 8, r: 9, fill, ...outline }));
+            group.appendChild(this.createSvgElement("path", { d: `M ${x + 3} ${y - 5} L ${x - 1} ${y - 1} L ${x + 3} ${y + 3}`, fill: "none", ...outline }));
+        } else if (actor.type == "entity") {
+            group.appendChild(this.createSvgElement("circle", { cx: x, cy: y + 8, r: 9, fill, ...outline }));
+            group.appendChild(this.createSvgElement("line", { x1: x - 11, y1: y + 17, x2: x + 11, y2: y + 17, ...outline }));
+        } else {
+            const icon = LocalSequenceDiagrams.ICONS[actor.icon] || LocalSequenceDiagrams.ICONS.generic;
+            group.appendChild(this.createSvgElement("path", { d: icon.path, transform: `translate(${x - 12} ${y - 5})`, fill, ...outline }));
+        }
+        return group;
+    }
+
+    drawSvgBox(actor, sizes) {
+        const { x, y, width, height } = actor;
+        const fill = actor.color || this.themeFill("participant");
+        const outline = this.themeOutline("participant");
+
+        if (actor.type == "database") {
+            // A cylinder standing up, its top ellipse drawn over the body
+            const ry = sizes.participantShapes.database.height / 2;
+            const group = this.createSvgElement("g", {});
+            group.appendChild(this.createSvgElement("path", {
+                d: `M ${x} ${y + ry} V ${y + height - ry} A ${width / 2} ${ry} 0 0 0 ${x + width} ${y + height - ry} V ${y + ry}`,
+                fill, ...outline
+            }));
+            group.appendChild(this.createSvgElement("ellipse", { cx: x + width / 2, cy: y + ry, rx: width / 2, ry, fill, ...outline }));
+            return group;
+        }
+        if (actor.type == "queue") {
+            // A cylinder lying down, its right end facing the reader
+            const rx = sizes.participantShapes.queue.textX;
+            const group = this.createSvgElement("g", {});
+            group.appendChild(this.createSvgElement("path", {
+                d: `M ${x + width - rx} ${y} H ${x + rx} A ${rx} ${height / 2} 0 0 0 ${x + rx} ${y + height} H ${x + width - rx}`,
+                fill, ...outline
+            }));
+            group.appendChild(this.createSvgElement("ellipse", { cx: x + width - rx, cy: y + height / 2, rx, ry: height / 2, fill, ...outline }));
+            return group;
+        }
+        if (actor.type == "collections") {
+            // A second box peeking out behind the first one
+            const offset = sizes.participantShapes.collections.width;
+            const group = this.createSvgElement("g", {});
+            for (const [boxX, boxY] of [[x + offset, y], [x, y + offset]]) {
+                group.appendChild(this.createSvgElement("rect", {
+                    x: boxX,
+                    y: boxY,
+                    width: width - offset,
+                    height: height - offset,
+                    ...this.themeCorners("participant"),
+                    fill, ...outline
+                }));
+            }
+            return group;
+        }
+        return this.createSvgElement("rect", {
+            x, y, width, height,
+            ...this.themeCorners("participant"),
+            fill,
+            ...outline
+        });
+    }
+
+    drawSvgParticipant(actor, sizes) {
+        const group = this.createSvgElement("g", {});
+        group.appendChild(this.drawSvgParticipantHeader(actor, sizes));
+
+        // The lifeline is dotted where a delay crosses it
+        let lineY = actor.y + actor.height;
+        for (const delay of actor.breaks || []) {
+            group.appendChild(this.drawSvgLifeline(actor, lineY, delay.y, this.theme.lifeline.dasharray));
+            group.appendChild(this.drawSvgLifeline(actor, delay.y, delay.y + delay.height, "1, 4"));
+            lineY = delay.y + delay.height;
+        }
+        group.appendChild(this.drawSvgLifeline(actor, lineY, actor.lineY, this.theme.lifeline.dasharray));
+
+        for (const bar of actor.activations || []) {
+            group.appendChild(this.drawSvgActivation(bar));
+        }
+
+        if (actor.destroyY !== undefined) {
+            group.appendChild(this.drawSvgDestroy(actor));
+        }
+
+        // The footbox repeats the header at the end of the lifeline
+        if (actor.footY !== undefined) {
+            group.appendChild(this.drawSvgParticipantHeader({ ...actor, y: actor.footY }, sizes));
+        }
+        return group;
+    }
+
+    drawSvgLifeline(actor, y1, y2, dasharray) {
+        return this.createSvgElement("line", {
+            x1: actor.lineX,
+            y1,
+            x2: actor.lineX,
+            y2,
+            stroke: this.themeStroke("lifeline"),
+            "stroke-width": `${this.theme.lifeline.width}px`,
+            "stroke-dasharray": dasharray
+        });
+    }
+
+    drawSvgParticipantBox(box, sizes) {
+        const rect = this.createSvgElement("rect", {
+            x: box.x,
+            y: box.y,
+            width: box.width,
+            height: box.height,
+            ...this.themeCorners("box"),
+            fill: box.color || this.themeFill("box"),
+            ...this.themeOutline("box")
+        });
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(rect);
+        if (box.caption) {
+            const textY = box.y + sizes.padding / 2 + this.themeFontAscent("box");
+            group.appendChild(this.drawSvgText(box.x + box.width / 2, textY, box.caption, "middle", null, "box", box.color));
+        }
+        return group;
+    }
+
+    drawSvgParticipantHeader(actor, sizes) {
+        let box = (actor.type == "actor")
+            ? this.drawSvgStickman(actor)
+            : (this.isFigure(actor) ? this.drawSvgFigure(actor) : this.drawSvgBox(actor, sizes));
+
+        // The caption of an actor goes below the stickman, and other shapes move it past their outline
+        const figure = this.isFigure(actor);
+        const shape = sizes.participantShapes[actor.type] || { textX: 0, textY: 0 };
+        const textY = actor.y + sizes.padding + this.themeFontAscent("participant") + (figure ? 19 : shape.textY);
+        const text = this.drawSvgText(actor.x + 10 + shape.textX, textY, actor.caption, "left", null, "participant", figure ? null : actor.color);
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(box);
+        group.appendChild(text);
+        return group;
+    }
+
+    drawSvgDestroy(actor) {
+        const size = 8;
+        return this.createSvgElement("path", {
+            d: `
+                M ${actor.lineX - size} ${actor.lineY - size}
+                l ${2 * size} ${2 * size}
+                m 0 ${-2 * size}
+                l ${-2 * size} ${2 * size}
+            `,
+            fill: "none",
+            ...this.themeOutline("lifeline")
+        });
+    }
+
+    drawSvgActivation(bar) {
+        return this.createSvgElement("rect", {
+            x: bar.x,
+            y: bar.y,
+            width: bar.width,
+            height: bar.height,
+            fill: this.themeFill("activation"),
+            ...this.themeOutline("activation")
+        });
+    }
+
+    drawSvgAltBox(alt, sizes) {
+        const box = this.createSvgElement("rect", {
+            x: alt.x,
+            y: alt.y,
+            width: alt.width,
+            height: alt.height,
+            ...this.themeCorners("fragment"),
+            fill: "none",
+            ...this.themeOutline("fragment")
+        });
+
+        const typeBox = this.createSvgElement("path", {
+            d: `
+                M ${alt.x + alt.labelWidth} ${alt.y} 
+                v ${sizes.altHeaderHeight - 5} 
+                l -5 5 
+                h ${5 - alt.labelWidth}
+            `,
+            fill: "none",
+            ...this.themeOutline("fragment")
+        });
+
+        const labelY = 2 + this.themeFontAscent("fragment");
+        const text = this.drawSvgText(alt.x + sizes.padding, alt.y + labelY, alt.type, "left", null, "fragment", alt.color);
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(box);
+        group.appendChild(typeBox);
+        group.appendChild(text);
+
+        for (let i = 0, y = alt.y; i < alt.cases.length; i++) {
+            if (i > 0) {
+                let divider = this.createSvgElement("line", {
+                    ...this.themeOutline("fragment"),
+                    "stroke-dasharray": "4, 2",
+                    "x1": alt.x,
+                    "y1": y,
+                    "x2": alt.x + alt.width,
+                    "y2": y
+                });
+                group.appendChild(divider);
+            }
+
+            // The first guard sits beside the operator label, the others just below their divider
+            if (alt.cases[i].caption) {
+                const guardX = alt.x + sizes.padding + (i == 0 ? alt.labelWidth : 0);
+                group.appendChild(this.drawSvgText(guardX, y + labelY, `[${alt.cases[i].caption}]`, "left", null, "fragment", alt.color));
+            }
+
+            this.renderSvgNestedEvents(group, alt.cases[i].events, sizes);
+            y += alt.cases[i].height;
+        }
+
+        return group;
+    }
+
+    drawSvgDivider(divider, sizes) {
+        // A double line across the diagram, with the caption in a box on top of it
+        const middleY = divider.y + divider.height / 2;
+        const lines = this.createSvgElement("path", {
+            d: `
+                M ${divider.x} ${middleY - 2}
+                h ${divider.width}
+                m 0 4
+                h ${-divider.width}
+            `,
+            fill: "none",
+            ...this.themeOutline("divider")
+        });
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(lines);
+
+        if (divider.caption) {
+            const boxWidth = divider.textWidth + 2 * sizes.padding;
+            group.appendChild(this.createSvgElement("rect", {
+                x: divider.x + (divider.width - boxWidth) / 2,
+                y: divider.y,
+                width: boxWidth,
+                height: divider.height,
+                fill: this.themeFill("divider"),
+                ...this.themeOutline("divider")
+            }));
+            const textY = divider.y + sizes.dividerPadding + this.themeFontAscent("divider");
+            group.appendChild(this.drawSvgText(divider.x + divider.width / 2, textY, divider.caption, "middle", null, "divider"));
+        }
+        return group;
+    }
+
+    drawSvgNoteBox(note) {
+        const foldSize = 10;
+
+        // Create the outline of the box
+        const box = this.createSvgElement("path", {
+            d: `
+                M ${note.x} ${note.y} 
+                h ${note.width - foldSize} 
+                l ${foldSize} ${foldSize} 
+                v ${note.height - foldSize} 
+                h ${-note.width} 
+                z
+            `,
+            fill: note.color || this.themeFill("note"),
+            ...this.themeOutline("note")
+        });
+
+        // Create the folded corner
+        const fold = this.createSvgElement("path", {
+            d: `
+                M ${note.x + note.width - foldSize},${note.y + 1}
+                v ${foldSize - 1} 
+                h ${foldSize - 1}
+            `,
+            fill: "none",
+            ...this.themeOutline("note")
+        });
+
+        // Create the folded shadow
+        // const shadow = this.createSvgElement("path", {
+        //     d: `
+        //         M ${note.x + note.width - foldSize - 1},${note.y + 2}
+        //         v ${foldSize - 1} 
+        //         h ${foldSize - 1}
+        //     `,
+        //     fill: "none",
+        //     stroke: "#bbb",
+        //     "stroke-width": "2px"
+        // });
+
+        const text = this.drawSvgText(note.x + note.textMarginX, note.y + note.textMarginY, note.caption, "left", null, "note", note.color);
+
+        const group = this.createSvgElement("g", {});
+        //group.appendChild(shadow);
+        group.appendChild(box);
+        group.appendChild(fold);
+        group.appendChild(text);
+        return group;
+    }
+
+    drawSvgStateBox(state) {
+        const box = this.createSvgElement("rect", {
+            x: state.x,
+            y: state.y,
+            width: state.width,
+            height: state.height,
+            ...this.themeCorners("state"),
+            fill: state.color || this.themeFill("state"),
+            ...this.themeOutline("state")
+        });
+
+        const text = this.drawSvgText(state.x + state.width / 2, state.y + state.textMarginY, state.caption, "middle", null, "state", state.color);
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(box);
+        group.appendChild(text);
+        return group;
+    }
+
+    drawSvgRefBox(ref, sizes) {
+        const box = this.createSvgElement("rect", {
+            x: ref.x,
+            y: ref.y,
+            width: ref.width,
+            height: ref.height,
+            ...this.themeCorners("ref"),
+            fill: ref.color || this.themeFill("ref"),
+            ...this.themeOutline("ref")
+        });
+
+        const typeBox = this.createSvgElement("path", {
+            d: `
+                M ${ref.x + ref.labelWidth} ${ref.y} 
+                v ${sizes.altHeaderHeight - 5} 
+                l -5 5 
+                h ${5 - ref.labelWidth}
+            `,
+            fill: "none",
+            ...this.themeOutline("ref")
+        });
+
+        const label = this.drawSvgText(ref.x + sizes.padding, ref.y + 2 + this.themeFontAscent("fragment"), ref.type, "left", null, "fragment", ref.color || this.themeFill("ref"));
+        const text = this.drawSvgText(ref.x + ref.width / 2, ref.y + ref.textMarginY, ref.caption, "middle", null, "ref", ref.color);
+
+        const group = this.createSvgElement("g", {});
+        group.appendChild(box);
+        group.appendChild(typeBox);
+        group.appendChild(label);
+        group.appendChild(text);
+        return group;
+    }
+
+    arrowMarkerId(signal, side) {
+        // The markers turn with the line, so the half heads of a leftward arrow are flipped to keep their side.
+        // A self-message leaves its lifeline to the right and comes back to the left
+        const leftward = (signal.src == signal.dest) ? side == "Right" : signal.endX < signal.startX;
+        const head = !signal.half ? (signal.open ? "Open" : "Closed")
+            : ((signal.half == "upper") != leftward ? "HalfUpper" : "HalfLower");
+        return "url(#arrow" + head + side + this.arrowMarkerSuffix(signal.color) + ")";
+    }
+
+    drawSvgArrow(signal) {
+        // Found messages start with a dot at the border, lost messages end with one
+        const found = this.isBorder(signal.src);
+        const lost = signal.failed && this.isBorder(signal.dest);
+        const crossed = signal.failed && !lost;
+
+        let attrs = {
+            ...this.themeOutline("message"),
+            ...(signal.color ? { stroke: signal.color } : {})
+        };
+        if (!crossed) {
+            attrs["marker-end"] = this.arrowMarkerId(signal, "Right");
+        }
+        if (signal.twoWay) {
+            attrs["marker-start"] = this.arrowMarkerId(signal, "Left");
+        }
+
+        if (signal.dotted) {
+            attrs["stroke-dasharray"] = "4, 2";
+        }
+
+        let line = null;
+        const group = this.createSvgElement("g", {});
+        const isSelf = signal.src == signal.dest;
+        const y = signal.endY + 10;
+
+        if (isSelf) {
+            // Self-arrow, out to the right of the lifeline and around the corners of the loop
+            const top = signal.startY + 10;
+            const r = Math.min(10, (y - top) / 2);
+            attrs["fill"] = "none";
+            attrs["d"] = `
+                M ${signal.startX + (signal.twoWay ? 7 : 0)} ${top}
+                H ${signal.loopX - r}
+                A ${r} ${r} 0 0 1 ${signal.loopX} ${top + r}
+                V ${y - r}
+                A ${r} ${r} 0 0 1 ${signal.loopX - r} ${y}
+                H ${signal.endX + (crossed ? 0 : 7)}
+            `;
+            line = this.createSvgElement("path", attrs);
+
+        } else {
+            const direction = (signal.startX < signal.endX) ? 1 : -1;
+            const dot = (x) => this.createSvgElement("circle", { cx: x, cy: y, r: 4, fill: attrs.stroke });
+
+            attrs["x1"] = signal.startX + (signal.twoWay ? direction * 7 : 0);
+            attrs["y1"] = signal.startY + 10;
+            attrs["x2"] = signal.endX - direction * (crossed ? 0 : (lost ? 13 : 7));
+            attrs["y2"] = y;
+            line = this.createSvgElement("line", attrs);
+
+            if (found) {
+                group.appendChild(dot(signal.startX));
+            }
+            if (lost) {
+                group.appendChild(dot(signal.endX));
+            }
+        }
+
+        if (crossed) {
+            group.appendChild(this.createSvgElement("path", {
+                d: `M ${signal.endX - 5} ${y - 5} l 10 10 m 0 -10 l -10 10`,
+                ...this.themeOutline("message"),
+                ...(signal.color ? { stroke: signal.color } : {})
+            }));
+        }
+
+        // The caption of a self-message is beside the loop, the others are above the middle of the arrow
+        const text = isSelf
+            ? this.drawSvgText(signal.textX, signal.textY, this.signalCaption(signal), "start", null, "message")
+            : this.drawSvgText(
+                (signal.startX + signal.endX) / 2,
+                signal.startY,
+                this.signalCaption(signal),
+                "middle",
+                `rotate(0 ${signal.startX} ${signal.startY})`,
+                "message"
+            );
+
+        group.appendChild(line);
+        group.appendChild(text);
+        return group;
+    }
+
+    // ASCII ART CALCULATE TEXT SIZE
+
+    calculateTextDimensionsAscii(content) {
+        // get height from number of newlines in the content
+        // get width from the longest line in the content
+        const bbox = {
+            height: content.split(/\n|\\n/).length,
+            width: Math.max(...content.split(/\n|\\n/).map(line => line.length))
+        };
+
+        return bbox;
+    }
+
+    // ASCII ART RENDERING
+
+    renderAsciiElements(actors, events, width, height) {
+        let asciiArt = Array.from({ length: height + 2 }, () => Array(Math.ceil(width)).fill(' '));
+
+        // Render boxes below the actors
+        for (const box of new Set(this.participantBoxes(events).values())) {
+            this.drawAsciiParticipantBox(asciiArt, box);
+        }
+
+        // Render actors
+        for (const actor of actors) {
+            this.drawAsciiParticipant(asciiArt, actor);
+        }
+
+        // Render events
+        const actorDict = actors.reduce((dict, val, idx) => { dict[val.alias || val.caption] = [val, idx]; return dict; }, {});
+        this.renderAsciiNestedEvents(asciiArt, events, actorDict);
+
+        for (const e of Object.values(this.diagramDecorations(events))) {
+            this.drawAsciiDecoration(asciiArt, e);
+        }
+
+        // The rows reserved below the end of the lifelines stay empty when there is a footbox
+        while (asciiArt.length > 0 && asciiArt.at(-1).every(c => c === ' ')) {
+            asciiArt.pop();
+        }
+
+        return asciiArt
+            .map(row => row.join(''))
+            .join('\n');
+    }
+
+    renderAsciiNestedEvents(asciiArt, events, actorDict) {
+        for (const e of events) {
+            if (e.type == "signal") {
+                this.drawAsciiArrow(asciiArt, e, actorDict);
+            } else if (e.type == "note") {
+                this.drawAsciiNoteBox(asciiArt, e);
+            } else if (e.type == "ref") {
+                this.drawAsciiRefBox(asciiArt, e);
+            } else if (e.type == "state") {
+                this.drawAsciiStateBox(asciiArt, e);
+            } else if (this.isFragment(e)) {
+                this.drawAsciiAltBox(asciiArt, e, actorDict);
+            } else if (e.type == "divider") {
+                this.drawAsciiDivider(asciiArt, e);
+            } else if (e.type == "delay" && e.caption) {
+                const textY = e.y + Math.floor((e.height - e.textHeight) / 2);
+                this.drawAsciiText(asciiArt, e.caption, Math.floor(e.x + (e.width - e.textWidth) / 2), textY);
+            } else if (e.type == "parallel" || e.type == "serial") {
+                this.renderAsciiNestedEvents(asciiArt, e.events, actorDict);
+            }
+        }
+    }
+
+    drawAsciiDivider(asciiArt, divider) {
+        // A double line across the diagram, with the caption in the middle of it
+        const y = Math.floor(divider.y + (divider.height - 1) / 2);
+        const endX = Math.min(Math.floor(divider.x + divider.width), asciiArt[y].length);
+        for (let x = Math.floor(divider.x); x < endX; x++) {
+            asciiArt[y][x] = '═';
+        }
+
+        if (divider.caption) {
+            const x = Math.floor(divider.x + (divider.width - divider.textWidth) / 2);
+            asciiArt[y][x - 2] = '╡';
+            asciiArt[y][x - 1] = ' ';
+            this.drawAsciiText(asciiArt, divider.caption, x, Math.floor(divider.y));
+            asciiArt[y][x + divider.textWidth] = ' ';
+            asciiArt[y][x + divider.textWidth + 1] = '╞';
+        }
+    }
+
+    drawAsciiText(asciiArt, text, startX, startY) {
+        let x = Math.floor(startX);
+        let y = Math.floor(startY);
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\n') {
+                x = Math.floor(startX);
+                y++;
+            }
+            else if (text[i] === '\\' && text[i+1] === 'n') {
+                i++;
+                x = Math.floor(startX);
+                y++;
+            }
+            else {
+                asciiArt[y][x] = text[i];
+                x++;
+            }
+        }
+    }
+
+    drawAsciiParticipant(asciiArt, actor) {
+        const y = Math.floor(actor.y);
+        const height = Math.floor(actor.height);
+        const lineX = Math.floor(actor.lineX);
+
+        this.drawAsciiParticipantHeader(asciiArt, actor, y, false);
+
+        // Draw swimlane line, dotted where a delay crosses it
+        for (let row = y + height; row <= Math.floor(actor.lineY); row++) {
+            asciiArt[row][lineX] = '│';
+        }
+        for (const delay of actor.breaks || []) {
+            for (let row = Math.floor(delay.y); row < Math.floor(delay.y + delay.height); row++) {
+                asciiArt[row][lineX] = '┊';
+            }
+        }
+
+        // Draw activation bars over the swimlane line
+        for (const bar of actor.activations || []) {
+            const barX = Math.floor(bar.x);
+            for (let i = Math.floor(bar.y); i <= Math.floor(bar.y + bar.height); i++) {
+                asciiArt[i][barX] = '┃';
+            }
+        }
+
+        // Draw the end of a destroyed swimlane
+        if (actor.destroyY !== undefined) {
+            asciiArt[Math.floor(actor.lineY)][lineX] = '╳';
+        }
+
+        // Draw the footbox, with the swimlane joining it from above
+        if (actor.footY !== undefined) {
+            this.drawAsciiParticipantHeader(asciiArt, actor, Math.floor(actor.footY), true);
+        }
+    }
+
+    drawAsciiParticipantBox(asciiArt, box) {
+        const x1 = Math.floor(box.x);
+        const y1 = Math.floor(box.y);
+        const x2 = Math.floor(box.x + box.width) - 1;
+        const y2 = Math.floor(box.y + box.height);
+
+        for (let x = x1 + 1; x < x2; x++) {
+            asciiArt[y1][x] = '─';
+            asciiArt[y2][x] = '─';
+        }
+        for (let y = y1 + 1; y < y2; y++) {
+            asciiArt[y][x1] = '│';
+            asciiArt[y][x2] = '│';
+        }
+        asciiArt[y1][x1] = '┌';
+        asciiArt[y1][x2] = '┐';
+        asciiArt[y2][x1] = '└';
+        asciiArt[y2][x2] = '┘';
+
+        // The caption interrupts the top edge
+        if (box.caption) {
+            this.drawAsciiText(asciiArt, ` ${box.caption} `, x1 + Math.floor((box.width - box.textWidth) / 2) - 1, y1);
+        }
+    }
+
+    // The header is placed from the floored lifeline, flooring its left edge on its own can shift it off the lifeline by one
+    asciiParticipantX(actor) {
+        return Math.floor(actor.lineX) - Math.floor(actor.width / 2);
+    }
+
+    drawAsciiParticipantHeader(asciiArt, actor, y, isFoot) {
+        const x = this.asciiParticipantX(actor);
+        const width = Math.floor(actor.width);
+        const height = Math.floor(actor.height);
+        const lineX = Math.floor(actor.lineX);
+
+        if (actor.type === "actor") {
+            // Draw stickman
+            asciiArt[y][lineX - 2] = '.';
+            asciiArt[y][lineX - 1] = '_';
+            asciiArt[y][lineX] = 'O';
+            asciiArt[y][lineX + 1] = '_';
+            asciiArt[y][lineX + 2] = '.';
+            asciiArt[y + 1][lineX] = '|';
+            asciiArt[y + 2][lineX - 1] = '/';
+            asciiArt[y + 2][lineX + 1] = '\\';
+
+            // Draw caption under the stickman
+            this.drawAsciiText(asciiArt, actor.caption, x+2, y+3);
+        } else if (this.isFigure(actor)) {
+            // Draw the symbol like the stickman, centered on the swimlane
+            const figures = {
+                boundary: ["│ ╭─╮", "├─┤ │", "│ ╰─╯"],
+                control: [" ╭<╮ ", " │ │ ", " ╰─╯ "],
+                entity: [" ╭─╮ ", " ╰─╯ ", "─────"],
+                icon: (LocalSequenceDiagrams.ICONS[actor.icon] || LocalSequenceDiagrams.ICONS.generic).ascii
+            };
+            figures[actor.type].forEach((row, j) => {
+                for (let i = 0; i < row.length; i++) {
+                    if (row[i] !== ' ') {
+                        asciiArt[y + j][lineX - 2 + i] = row[i];
+                    }
+                }
+            });
+
+            this.drawAsciiText(asciiArt, actor.caption, x+2, y+3);
+        } else if (actor.type === "database") {
+            // Draw a cylinder: a rounded box with the rim of its top below the first row
+            for (let i = 1; i < width - 1; i++) {
+                asciiArt[y][x + i] = (lineX == x + i && isFoot) ? '┴' : '─';
+                asciiArt[y + 1][x + i] = '─';
+                asciiArt[y + height - 1][x + i] = (lineX == x + i && !isFoot) ? '┬' : '─';
+            }
+            for (let i = 2; i < height - 1; i++) {
+                asciiArt[y + i][x] = '│';
+                asciiArt[y + i][x + width - 1] = '│';
+            }
+            asciiArt[y][x] = '╭';
+            asciiArt[y][x + width - 1] = '╮';
+            asciiArt[y + 1][x] = '├';
+            asciiArt[y + 1][x + width - 1] = '┤';
+            asciiArt[y + height - 1][x] = '╰';
+            asciiArt[y + height - 1][x + width - 1] = '╯';
+
+            this.drawAsciiText(asciiArt, actor.caption, x+1, y+2);
+        } else if (actor.type === "queue") {
+            // Draw a cylinder lying down, its right end as an extra column
+            for (let i = 1; i < width - 1; i++) {
+                asciiArt[y][x + i] = (i == width - 2) ? '┬' : ((lineX == x + i && isFoot) ? '┴' : '─');
+                asciiArt[y + height - 1][x + i] = (i == width - 2) ? '┴' : ((lineX == x + i && !isFoot) ? '┬' : '─');
+            }
+            for (let i = 1; i < height - 1; i++) {
+                asciiArt[y + i][x] = '│';
+                asciiArt[y + i][x + width - 2] = '│';
+                asciiArt[y + i][x + width - 1] = '│';
+            }
+            asciiArt[y][x] = '╭';
+            asciiArt[y][x + width - 1] = '╮';
+            asciiArt[y + height - 1][x] = '╰';
+            asciiArt[y + height - 1][x + width - 1] = '╯';
+
+            this.drawAsciiText(asciiArt, actor.caption, x+1, y+1);
+        } else if (actor.type === "collections") {
+            // Draw the corner of a second box behind the first one
+            for (let i = 2; i < width - 1; i++) {
+                asciiArt[y][x + i] = (lineX == x + i && isFoot) ? '┴' : '─';
+            }
+            for (let i = 1; i < height - 2; i++) {
+                asciiArt[y + i][x + width - 1] = '│';
+            }
+            asciiArt[y][x + 1] = '┌';
+            asciiArt[y][x + width - 1] = '┐';
+            asciiArt[y + height - 2][x + width - 1] = '┘';
+
+            for (let i = 1; i < width - 2; i++) {
+                asciiArt[y + 1][x + i] = '═';
+                asciiArt[y + height - 1][x + i] = (lineX == x + i && !isFoot) ? '╤' : '═';
+            }
+            for (let i = 2; i < height - 1; i++) {
+                asciiArt[y + i][x] = '║';
+                asciiArt[y + i][x + width - 2] = '║';
+            }
+            asciiArt[y + 1][x] = '╔';
+            asciiArt[y + 1][x + width - 2] = '╗';
+            asciiArt[y + height - 1][x] = '╚';
+            asciiArt[y + height - 1][x + width - 2] = '╝';
+
+            this.drawAsciiText(asciiArt, actor.caption, x+1, y+2);
+        } else {
+            // Draw box
+            for (let i = 1; i < width - 1; i++) {
+                asciiArt[y][x + i] = (lineX == x + i && isFoot) ? '╧' : '═';
+                asciiArt[y + height - 1][x + i] = (lineX == x + i && !isFoot) ? '╤' : '═';
+            }
+            for (let i = 1; i < height - 1; i++) {
+                asciiArt[y + i][x] = '║';
+                asciiArt[y + i][x + width - 1] = '║';
+            }
+            asciiArt[y][x] = '╔';
+            asciiArt[y][x + width - 1] = '╗';
+            asciiArt[y + height - 1][x] = '╚';
+            asciiArt[y + height - 1][x + width - 1] = '╝';
+
+            // Draw caption
+            this.drawAsciiText(asciiArt, actor.caption, x+1, y+1);
+        }
+    }
+
+    drawAsciiArrow(asciiArt, signal, actorDict) {
+        const startX = Math.floor(signal.startX);
+        let endX = Math.floor(signal.endX);
+        const top = Math.floor(signal.startY);
+        const y = Math.floor(signal.endY);
+        const isSelf = signal.src == signal.dest;
+
+        // An arrow that creates a participant ends on the edge of its header
+        const created = signal.create && !isSelf && actorDict[signal.dest];
+        if (created) {
+            const actor = created[0];
+            const x = this.asciiParticipantX(actor);
+            endX = (startX < Math.floor(actor.lineX)) ? x : x + Math.floor(actor.width) - 1;
+        }
+        const caption = this.signalCaption(signal);
+        const direction = (startX < endX && !isSelf) ? 1 : -1;
+
+        // Draw arrow line
+        if (isSelf) {
+            // Self-arrow, the loop is as high as the caption beside it and its corners take its last cell
+            const loopX = Math.floor(signal.loopX) - 1;
+            for (let x = startX + 1; x < loopX; x++) {
+                asciiArt[top][x] = '─';
+            }
+            for (let x = endX + 2; x < loopX; x++) {
+                asciiArt[y][x] = '─';
+            }
+            for (let row = top + 1; row < y; row++) {
+                asciiArt[row][loopX] = '│';
+            }
+            asciiArt[top][loopX] = '╮';
+            asciiArt[y][loopX] = '╯';
+
+        } else {
+            for (let x = Math.min(startX, endX)+1; x < Math.max(startX, endX); x++) {
+                asciiArt[y][x] = '─';
+            }
+        }
+
+        // Draw arrow heads, a lost message ends with a dot in front of its head and a failed one is crossed out
+        const head = (toRight) => signal.half
+            ? ((signal.half == "upper") ? (toRight ? '⇀' : '↼') : (toRight ? '⇁' : '↽'))
+            : (signal.open ? (toRight ? '>' : '<') : (toRight ? '►' : '◄'));
+        const lost = signal.failed && this.isBorder(signal.dest);
+        if (lost) {
+            asciiArt[y][endX] = '●';
+            asciiArt[y][endX - 2 * direction] = '─';
+            asciiArt[y][endX - direction] = head(direction > 0);
+        }
+        else {
+            asciiArt[y][endX - direction] = signal.failed ? '×' : head(direction > 0);
+        }
+        if (signal.twoWay) {
+            // A self-message leaves to the right and comes back, so both of its heads point left
+            if (isSelf) {
+                asciiArt[top][startX + 1] = head(false);
+            }
+            else {
+                asciiArt[y][startX + direction] = head(direction < 0);
+            }
+        }
+        if (this.isBorder(signal.src)) {
+            asciiArt[y][startX] = '●';
+        }
 
-        return gapMinSizeBetweenLanes;
+        // Draw caption, beside the loop of a self-message and above the middle of the other arrows
+        if (isSelf) {
+            this.drawAsciiText(asciiArt, caption, signal.textX, signal.textY);
+        }
+        else {
+            this.drawAsciiText(asciiArt, caption, Math.floor((signal.startX + signal.endX) / 2) - Math.floor(caption.length / 2), y-1);
+        }
     }
 
-    calculateEventPlacements(actorDict, events, startY, totalWidth, sizes) {
-        let y = startY;
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
-            if (e.type == "signal") {
-                let a1 = actorDict[e.src];
-                let a2 = actorDict[e.dest];
-                if (a1 && a2) {
-                    const textOffset = (e.src == e.dest) ? sizes.padding : e.height; // self-arrow should not add the height of the text to the start of the arrow
-                    e.startX = a1[0].lineX;
-                    e.endX = a2[0].lineX;
-                    e.startY = y + textOffset;
-                    e.endY = y + textOffset;
-                    y += Math.max(textOffset, e.height + sizes.signalMargin);
-                }
-            }
-            else if (e.type == "note") {
-                let a1 = actorDict[e.src];
-                if (a1) {
-                    e.x = a1[0].lineX + sizes.noteMarginX;
-                    e.y = y;
-                    e.textMarginX = sizes.noteTextMarginX;
-                    e.textMarginY = sizes.noteTextMarginY;
-                    y += sizes.noteMarginY + e.height;
-                }
-            }
-            else if (e.type == "alt") {
-                e.x = 0;
-                e.y = y;
+    drawAsciiNoteBox(asciiArt, note) {
+        const x = Math.floor(note.x);
+        const y = Math.floor(note.y);
+        const width = Math.floor(note.width);
+        const height = Math.floor(note.height);
 
-                for (let c = 0; c < e.cases.length; c++) {
-                    const startY = y;
-                    y += sizes.altHeaderHeight;
-                    let endY = this.calculateEventPlacements(actorDict, e.cases[c].events, y, totalWidth, sizes);
-                    let caseHeight = endY - startY;
-                    e.cases[c].height = caseHeight;
-                    y = endY;
-                }
-                e.height = y - e.y + 1;
-                e.width = totalWidth;
+        // Draw box sides
+        for (let i = 1; i < width - 1; i++) {
+            asciiArt[y][x + i] = '═';
+            asciiArt[y + height - 1][x + i] = '═';
+        }
+        for (let i = 1; i < height - 1; i++) {
+            asciiArt[y + i][x] = '║';
+            asciiArt[y + i][x + width - 1] = '║';
+        }
 
-                y += sizes.altMarginBottom;
+        // Draw box corners
+        asciiArt[y][x] = '╔';
+        asciiArt[y][x + width - 1] = '·';  // would be nice to use lower-left triangle '◺' but it's not monospaced  ¯\_(ツ)_/¯
+        asciiArt[y + height - 1][x] = '╚';
+        asciiArt[y + height - 1][x + width - 1] = '╝';
+
+        // Draw caption
+        this.drawAsciiText(asciiArt, note.caption, x + 1, y + 1);
+    }
+
+    drawAsciiStateBox(asciiArt, state) {
+        const x = Math.floor(state.x);
+        const y = Math.floor(state.y);
+        const width = Math.floor(state.width);
+        const height = Math.floor(state.height);
+
+        // Draw box with rounded corners, clearing the swimlane line behind it
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                asciiArt[y + j][x + i] = ' ';
             }
         }
-        return y;
+        for (let i = 1; i < width - 1; i++) {
+            asciiArt[y][x + i] = '─';
+            asciiArt[y + height - 1][x + i] = '─';
+        }
+        for (let i = 1; i < height - 1; i++) {
+            asciiArt[y + i][x] = '│';
+            asciiArt[y + i][x + width - 1] = '│';
+        }
+        asciiArt[y][x] = '╭';
+        asciiArt[y][x + width - 1] = '╮';
+        asciiArt[y + height - 1][x] = '╰';
+        asciiArt[y + height - 1][x + width - 1] = '╯';
+
+        this.drawAsciiTextCentered(asciiArt, state.caption, x, width, y + state.textMarginY);
     }
 
-    // SVG CALCULATE TEXT SIZE
+    drawAsciiRefBox(asciiArt, ref) {
+        const x = Math.floor(ref.x);
+        const y = Math.floor(ref.y);
+        const width = Math.floor(ref.width);
+        const height = Math.floor(ref.height);
 
-    calculateTextDimensionsSvg(content) {
-        const svg = this.createSvgElement("svg", { width: 600, height: 600 });
-        const text = this.drawSvgText(0, 0, content);
-        svg.appendChild(text);
+        // Draw box, clearing the swimlane lines behind it
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                asciiArt[y + j][x + i] = ' ';
+            }
+        }
+        for (let i = 1; i < width - 1; i++) {
+            asciiArt[y][x + i] = '═';
+            asciiArt[y + height - 1][x + i] = '═';
+        }
+        for (let i = 1; i < height - 1; i++) {
+            asciiArt[y + i][x] = '║';
+            asciiArt[y + i][x + width - 1] = '║';
+        }
+        asciiArt[y][x] = '╔';
+        asciiArt[y][x + width - 1] = '╗';
+        asciiArt[y + height - 1][x] = '╚';
+        asciiArt[y + height - 1][x + width - 1] = '╝';
 
-        // Temporarily add the SVG element to the document
-        this.doc.body.appendChild(svg);
+        // Draw the "ref" label box
+        const labelEndX = x + ref.type.length + 3;
+        asciiArt[y][labelEndX] = '╤';
+        asciiArt[y+1][labelEndX] = '│';
+        asciiArt[y+2][x] = '╟';
+        for (let i = x + 1; i < labelEndX; i++) {
+            asciiArt[y+2][i] = '─';
+        }
+        asciiArt[y+2][labelEndX] = '╯';
+        this.drawAsciiText(asciiArt, ref.type, x + 2, y + 1);
 
-        const bbox = text.getBBox();
+        this.drawAsciiTextCentered(asciiArt, ref.caption, x, width, y + ref.textMarginY);
+    }
 
-        // Remove the temporary SVG element from the document
-        this.doc.body.removeChild(svg);
+    drawAsciiDecoration(asciiArt, e) {
+        const x = Math.floor(e.x);
+        const y = Math.floor(e.y);
+        const width = Math.floor(e.width);
+        const height = Math.floor(e.height);
+        const caption = e.caption.replace(/\n$/, '');
 
-        return bbox;
+        if (e.type == "legend") {
+            for (let i = 1; i < width - 1; i++) {
+                asciiArt[y][x + i] = '─';
+                asciiArt[y + height - 1][x + i] = '─';
+            }
+            for (let i = 1; i < height - 1; i++) {
+                asciiArt[y + i][x] = '│';
+                asciiArt[y + i][x + width - 1] = '│';
+            }
+            asciiArt[y][x] = '┌';
+            asciiArt[y][x + width - 1] = '┐';
+            asciiArt[y + height - 1][x] = '└';
+            asciiArt[y + height - 1][x + width - 1] = '┘';
+            this.drawAsciiText(asciiArt, caption, x + 1, y + 1);
+        } else if (e.align == "left" || e.align == "right") {
+            this.drawAsciiText(asciiArt, caption, x, y);
+        } else {
+            this.drawAsciiTextCentered(asciiArt, caption, x, width, y);
+        }
     }
 
-    // SVG RENDERING
+    drawAsciiTextCentered(asciiArt, text, x, width, y) {
+        const lines = text.split(/\n|\\n/);
+        for (let i = 0; i < lines.length; i++) {
+            this.drawAsciiText(asciiArt, lines[i], x + Math.floor((width - lines[i].length) / 2), y + i);
+        }
+    }
 
-    renderSvgElements(actors, events, width, height, sizes) {
-        const svgCanvas = this.createSvgElement("svg", { width, height });
-        this.createArrowDefinitions(svgCanvas);
+    drawAsciiAltBox(asciiArt, alt, actorDict) {
+        const x = Math.floor(alt.x);
+        const y = Math.floor(alt.y);
+        const width = Math.floor(alt.width);
+        const height = Math.floor(alt.height);
 
-        for (let i = 0; i < actors.length; i++) {
-            svgCanvas.appendChild(this.drawSvgParticipant(actors[i], sizes));
+        // Draw box
+        for (let i = 1; i < width - 1; i++) {
+            asciiArt[y][x + i] = '═';
+            asciiArt[y + height - 1][x + i] = '═';
+            // draw intersections with swimlanes with ╪?
+        }
+        for (let i = 1; i < height - 1; i++) {
+            asciiArt[y + i][x] = '║';
+            asciiArt[y + i][x + width - 1] = '║';
         }
+        asciiArt[y][x] = '╔';
+        asciiArt[y][x + width - 1] = '╗';
+        asciiArt[y + height - 1][x] = '╚';
+        asciiArt[y + height - 1][x + width - 1] = '╝';
 
-        this.renderSvgNestedEvents(svgCanvas, events, sizes);
+        // Draw the operator label box, sized to the operator name
+        const labelEndX = x + alt.type.length + 3;
+        asciiArt[y][labelEndX] = '╤';
+        asciiArt[y+1][labelEndX] = '│';
+        asciiArt[y+2][x] = '╟';
+        for (let i = x + 1; i < labelEndX; i++) {
+            asciiArt[y+2][i] = '─';
+        }
+        asciiArt[y+2][labelEndX] = '╯';
 
-        return this.serializer.serializeToString(svgCanvas);
-    }
+        this.drawAsciiText(asciiArt, alt.type, x + 2, y + 1);
 
-    renderSvgNestedEvents(svgCanvas, events, sizes) {
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
-            if (e.type == "signal") {
-                svgCanvas.appendChild(this.drawSvgArrow(e, sizes));
-            }
-            else if (e.type == "note") {
-                svgCanvas.appendChild(this.drawSvgNoteBox(e, sizes));
+        // Draw cases
+        // (The first guard sits beside the operator label, the others just below their divider)
+        let currentY = y + 1;
+        for (let i = 0; i < alt.cases.length; i++) {
+            const textStartX = (i == 0) ? labelEndX + 2 : x + 2;
+            if (i > 0) {
+                for (let w = 1; w < width-1; w++) {
+                    asciiArt[currentY-1][x+w] = '┈';
+                    // draw intersections with swimlanes with  ┼ ?
+                }
             }
-            else if (e.type == "alt") {
-                svgCanvas.appendChild(this.drawSvgAltBox(e, sizes));
+            if (alt.cases[i].caption) {
+                this.drawAsciiText(asciiArt, `[${alt.cases[i].caption}]`, textStartX, currentY);
             }
+            this.renderAsciiNestedEvents(asciiArt, alt.cases[i].events, actorDict);
+            currentY += alt.cases[i].height;
         }
     }
+}
 
-    createSvgElement(type, attributes) {
-        const element = this.doc.createElementNS("http://www.w3.org/2000/svg", type);
-        for (const attr in attributes) {
-            element.setAttribute(attr, attributes[attr]);
-        }
-        if (type === "text") {
-            element.setAttribute("style", `font-size: 16px; font-family: Arial; fill: ${this.color}; stroke: ${this.colorBg}; stroke-width: 4; paint-order: stroke fill;`);
-        }
-        return element;
+// DIAGRAM BUILDER
+//
+// Builds the same { actors, events } model that parseScriptToArrays produces, without having to
+// assemble and escape a script as a string.  Calls can be chained, and blocks are filled in by a
+// callback that receives the builder:
+//
+// const diagram = new LocalSequenceDiagrams().createBuilder()
+//     .actor("User")
+//     .participant("Web Server", "API")
+//     .message("User", "API", "login", { activate: true })
+//     .alt("ok", b => b.message("API", "User", "welcome", { dotted: true }))
+//     .else("failure", b => b.note("over", "API", "log the attempt"))
+//     .deactivate("API");
+//
+// const svgText = diagram.toSvgText();     // or toAsciiArt(), toScript(), toModel()
+
+class SequenceDiagramBuilder {
+    constructor(seqDiagram = new LocalSequenceDiagrams()) {
+        this.seqDiagram = seqDiagram;
+        this.actors = [];
+        this.events = [];
+        this.eventStack = [this.events];
+        this.openBox = null;
     }
 
-    createArrowDefinitions(svgElement) {
-        const defs = this.createSvgElement("defs", {});
-        defs.appendChild(this.createArrowFromPath("arrowClosedRight", "M0,-5L10,0L0,5", this.color));
-        defs.appendChild(this.createArrowFromPath("arrowOpenRight", "M0,-5L10,0M10,0L0,5", "none"));
-        defs.appendChild(this.createArrowFromPath("arrowClosedLeft", "M10,-5L0,0L10,5", this.color));
-        defs.appendChild(this.createArrowFromPath("arrowOpenLeft", "M10,-5L0,0M0,0L10,5", "none"));
-        svgElement.appendChild(defs);
+    // PARTICIPANTS
+
+    participant(caption, alias = caption, options = {}) {
+        // options: { color } as in "participant DB #lightblue"
+        return this.declare("participant", caption, alias, options);
     }
 
-    createArrowFromPath(id, pathD, fill) {
-        const marker = this.createSvgElement("marker", {
-            id: id,
-            viewBox: "0 -5 10 10",
-            refX: 5,
-            refY: 0,
-            markerWidth: 6,
-            markerHeight: 6,
-            orient: "auto"
-        });
-        const path = this.createSvgElement("path", {
-            d: pathD,
-            class: "arrowHead",
-            fill: fill,
-            stroke: this.color,
-            "stroke-width": "2px"
-        });
-        marker.appendChild(path);
-        return marker;
+    actor(caption, alias = caption, options = {}) {
+        return this.declare("actor", caption, alias, options);
     }
 
-    drawSvgText(x, y, content, textAnchor = "left", transform = null) {
-        let textParams = {
-            x, y,
-            "text-anchor": "left",
-            "dominant-baseline": "top",
-            "text-anchor": textAnchor
-        };
+    boundary(caption, alias = caption, options = {}) {
+        return this.declare("boundary", caption, alias, options);
+    }
 
-        if (transform !== null) {
-            textParams["transform"] = transform;
+    control(caption, alias = caption, options = {}) {
+        return this.declare("control", caption, alias, options);
+    }
+
+    entity(caption, alias = caption, options = {}) {
+        return this.declare("entity", caption, alias, options);
+    }
+
+    database(caption, alias = caption, options = {}) {
+        return this.declare("database", caption, alias, options);
+    }
+
+    queue(caption, alias = caption, options = {}) {
+        return this.declare("queue", caption, alias, options);
+    }
+
+    collections(caption, alias = caption, options = {}) {
+        return this.declare("collections", caption, alias, options);
+    }
+
+    icon(caption, alias = caption, options = {}) {
+        // options: { icon, color } where icon names one of LocalSequenceDiagrams.ICONS
+        if (options.icon && !LocalSequenceDiagrams.ICONS[options.icon]) {
+            throw new Error(`Unknown icon '${options.icon}', expected one of ${Object.keys(LocalSequenceDiagrams.ICONS).join(', ')}`);
+        }
+        this.declare("icon", caption, alias, options);
+        if (options.icon) {
+            this.actors.find(a => a.alias === alias).icon = options.icon;
         }
+        return this;
+    }
 
-        const text = this.createSvgElement("text", textParams);
+    declare(type, caption, alias, options = {}) {
+        if (!caption) {
+            throw new Error(`A ${type} needs a caption`);
+        }
 
-        let isFirst = true;
-        const lines = content.split(/\n|\\n/);
-        for (const line of lines) {
-            const span = this.createSvgElement("tspan", { x, dy: isFirst ? "0" : "1em" });
-            span.textContent = line;
-            text.appendChild(span);
-            isFirst = false;
+        // Like the parser, declaring a participant that is already used keeps its position
+        let existing = this.actors.find(a => a.alias === alias);
+        if (existing) {
+            Object.assign(existing, { type, caption });
+        } else {
+            existing = { type, caption, alias };
+            this.actors.push(existing);
+        }
+        this.colored(existing, options);
+        if (this.openBox) {
+            this.openBox.participants.push(alias);
         }
+        return this;
+    }
 
-        return text;
+    box(caption, build, options = {}) {
+        // options: { color } as in 'box "Backend" #eee', build declares the participants in the box
+        if (typeof caption === "function") {
+            [caption, build, options] = ["", caption, build || {}];
+        }
+        if (this.openBox) {
+            throw new Error("A box cannot be inside another box");
+        }
+        const e = { type: "box", caption: String(caption || ""), participants: [] };
+        this.events.push(this.colored(e, options));
+        this.openBox = e;
+        try {
+            if (build) {
+                build(this);
+            }
+        } finally {
+            this.openBox = null;
+        }
+        return this;
     }
 
-    drawSvgStickman(actor, sizes) {
-        let x = actor.lineX - 9;
-        const group = this.createSvgElement("g", { width: 40, height: 40, "stroke-width": "2px" });
-        const head = this.createSvgElement("circle", { cx: x + 10, cy: 10, r: 6, fill: "none", stroke: this.color });
-        const body = this.createSvgElement("line", { x1: x + 10, y1: 16, x2: x + 10, y2: 28, stroke: this.color });
-        const leftArm = this.createSvgElement("line", { x1: x + 10, y1: 24, x2: x + 2, y2: 20, stroke: this.color });
-        const rightArm = this.createSvgElement("line", { x1: x + 10, y1: 24, x2: x + 18, y2: 20, stroke: this.color });
-        const leftLeg = this.createSvgElement("line", { x1: x + 10, y1: 28, x2: x + 2, y2: 36, stroke: this.color });
-        const rightLeg = this.createSvgElement("line", { x1: x + 10, y1: 28, x2: x + 18, y2: 36, stroke: this.color });
-        group.appendChild(head);
-        group.appendChild(body);
-        group.appendChild(leftArm);
-        group.appendChild(rightArm);
-        group.appendChild(rightLeg);
-        group.appendChild(leftLeg);
-        return group;
+    resolve(name) {
+        // Participants can be named by alias or caption, and are added on first use
+        if (!name) {
+            throw new Error("A participant name is required");
+        }
+        const alias = this.seqDiagram.resolveAlias(this.actors, name);
+        if (!this.actors.find(a => a.alias === alias)) {
+            this.actors.push({ type: "participant", caption: alias, alias });
+        }
+        return alias;
     }
 
-    drawSvgParticipant(actor, sizes) {
-        let box = (actor.type == "actor")
-            ? this.drawSvgStickman(actor, sizes)
-            : this.createSvgElement("rect", {
-                x: actor.x,
-                y: actor.y,
-                width: actor.width,
-                height: actor.height,
-                fill: "none",
-                stroke: this.color,
-                "stroke-width": "2px"
-            });
+    // EVENTS
 
-        const line = this.createSvgElement("line", {
-            x1: actor.lineX,
-            y1: actor.y + actor.height,
-            x2: actor.lineX,
-            y2: actor.y + actor.lineY,
-            stroke: this.color,
-            "stroke-width": "1px"
-        });
+    message(src, dest, caption = "", options = {}) {
+        // options: { dotted, open, twoWay, half, failed, create, activate, deactivate, color } as in "A<-->>x*+-B: caption #red".
+        // half is "upper" or "lower", and "[" or "]" is the left or right border of the diagram
+        const seqDiagram = this.seqDiagram;
+        if (seqDiagram.isBorder(src) && seqDiagram.isBorder(dest)) {
+            throw new Error("A message needs a participant at one of its ends");
+        }
+        if ((seqDiagram.isBorder(dest) && (options.create || options.activate)) || (seqDiagram.isBorder(src) && options.deactivate)) {
+            throw new Error("The border of the diagram cannot be created, activated or deactivated");
+        }
+        if (options.half !== undefined && !["upper", "lower"].includes(options.half)) {
+            throw new Error(`'${options.half}' is not one of 'upper' or 'lower'`);
+        }
+        src = seqDiagram.isBorder(src) ? src : this.resolve(src);
+        dest = seqDiagram.isBorder(dest) ? dest : this.resolve(dest);
+
+        // The parser keeps line breaks in captions as the two characters "\n"
+        const e = { type: "signal", caption: String(caption).replace(/\r?\n/g, "\\n"), src, dest,
+            dotted: !!options.dotted, open: !!options.open, create: !!options.create };
+        if (options.twoWay) {
+            e.twoWay = true;
+        }
+        if (options.half) {
+            e.half = options.half;
+        }
+        if (options.failed) {
+            e.failed = true;
+        }
+        this.push(this.colored(e, options));
 
-        const text = this.drawSvgText(actor.x + 10, actor.y + (actor.type == "actor" ? 42 : 23), actor.caption);
+        if (options.activate) {
+            this.push({ type: "activate", src: dest });
+        }
+        if (options.deactivate) {
+            this.push({ type: "deactivate", src });
+        }
+        if (options.create) {
+            this.actors.find(a => a.alias === dest).created = true;
+        }
+        return this;
+    }
 
-        const group = this.createSvgElement("g", {});
-        group.appendChild(box);
-        group.appendChild(line);
-        group.appendChild(text);
-        return group;
+    note(align, participants, caption, options = {}) {
+        return this.annotation("note", align, participants, caption, options);
     }
 
-    drawSvgAltBox(alt, sizes) {
-        const width = 100 + 2 * sizes.padding;
-        const height = 50 + 2 * sizes.padding;
+    ref(participants, caption, align = "over", options = {}) {
+        return this.annotation("ref", align, participants, caption, options);
+    }
 
-        const box = this.createSvgElement("rect", {
-            x: alt.x,
-            y: alt.y,
-            width: alt.width,
-            height: alt.height,
-            fill: "none",
-            stroke: this.color,
-            "stroke-width": "2px"
-        });
+    state(participants, caption, align = "over", options = {}) {
+        return this.annotation("state", align, participants, caption, options);
+    }
 
-        const typeBox = this.createSvgElement("path", {
-            d: `
-                M ${alt.x + 40} ${alt.y} 
-                v 15 
-                l -5 5 
-                h -35
-            `,
-            fill: "none",
-            stroke: this.color,
-            "stroke-width": "2px"
-        });
+    annotation(type, align, participants, caption, options = {}) {
+        // participants is a name, or [first, last] for a box spanning several lifelines
+        if (!["left", "right", "over"].includes(align)) {
+            throw new Error(`'${align}' is not one of 'left', 'right' or 'over'`);
+        }
+        const names = [].concat(participants);
+        const e = { type, caption: String(caption || ""), align, src: this.resolve(names[0]) };
+        if (align === "over" && names.length > 1) {
+            e.dest = this.resolve(names.at(-1));
+        }
+
+        // Multi-line captions are stored like the parser collects them, one line after another
+        if (e.caption.includes("\n")) {
+            e.caption = e.caption.split(/\r?\n/).map(line => line.trim() + "\n").join("");
+        }
+        return this.push(this.colored(e, options));
+    }
 
-        const text = this.drawSvgText(alt.x + sizes.padding, alt.y + 15, alt.type);
+    activate(name) {
+        return this.push({ type: "activate", src: this.resolve(name) });
+    }
 
-        const group = this.createSvgElement("g", {});
-        group.appendChild(typeBox);
-        group.appendChild(box);
-        group.appendChild(text);
+    deactivate(name) {
+        return this.push({ type: "deactivate", src: this.resolve(name) });
+    }
 
-        for (let i = 0, y = alt.y + 15; i < alt.cases.length; i++) {
-            this.renderSvgNestedEvents(group, alt.cases[i].events);
+    destroy(name) {
+        return this.push({ type: "destroy", src: this.resolve(name) });
+    }
 
-            y += alt.cases[i].height;
-            let divider = this.createSvgElement("line", {
-                "stroke": this.color,
-                "stroke-width": "2px",
-                "stroke-dasharray": "4, 2",
-                "x1": 0,
-                "y1": y,
-                "x2": alt.width,
-                "y2": y
-            });
-            group.appendChild(divider);
-        }
+    autonumber(start = 1, increment, format) {
+        return this.push(this.numbering("start", { start }, increment, format));
+    }
 
-        return group;
+    autonumberStop() {
+        return this.push({ type: "autonumber", action: "stop" });
     }
 
-    drawSvgNoteBox(note, sizes) {
-        const foldSize = 10;
+    autonumberResume(increment, format) {
+        return this.push(this.numbering("resume", {}, increment, format));
+    }
 
-        // Create the outline of the box
-        const box = this.createSvgElement("path", {
-            d: `
-                M ${note.x} ${note.y} 
-                h ${note.width - foldSize} 
-                l ${foldSize} ${foldSize} 
-                v ${note.height - foldSize} 
-                h ${-note.width} 
-                z
-            `,
-            fill: "none",
-            stroke: this.color,
-            "stroke-width": "2px"
-        });
+    numbering(action, fields, increment, format) {
+        const e = { type: "autonumber", action, ...fields };
+        if (increment !== undefined) {
+            e.increment = increment;
+        }
+        if (format) {
+            e.format = format;
+        }
+        return e;
+    }
 
-        // Create the folded corner
-        const fold = this.createSvgElement("path", {
-            d: `
-                M ${note.x + note.width - foldSize},${note.y + 1}
-                v ${foldSize - 1} 
-                h ${foldSize - 1}
-            `,
-            fill: "none",
-            stroke: this.color,
-            "stroke-width": "2px"
-        });
+    comment(text) {
+        // Kept for toScript(), drawing ignores comments
+        return this.push({ type: "comment", caption: " " + text });
+    }
 
-        // Create the folded shadow
-        // const shadow = this.createSvgElement("path", {
-        //     d: `
-        //         M ${note.x + note.width - foldSize - 1},${note.y + 2}
-        //         v ${foldSize - 1} 
-        //         h ${foldSize - 1}
-        //     `,
-        //     fill: "none",
-        //     stroke: "#bbb",
-        //     "stroke-width": "2px"
-        // });
+    // SEPARATORS
 
-        const text = this.drawSvgText(note.x + note.textMarginX, note.y + note.textMarginY, note.caption);
+    // Like the parser, the captions of separators and decorations are trimmed
+    divider(caption = "") {
+        return this.push({ type: "divider", caption: String(caption).trim() });
+    }
 
-        const group = this.createSvgElement("g", {});
-        //group.appendChild(shadow);
-        group.appendChild(fold);
-        group.appendChild(box);
-        group.appendChild(text);
-        return group;
+    delay(caption = "") {
+        return this.push({ type: "delay", caption: String(caption).trim() });
     }
 
-    // createState(state) {
-    //     const box = this.createSvgElement("rect", {
-    //         x: state.x,
-    //         y: state.y,
-    //         rx: 10,
-    //         ry: 10,
-    //         width: state.width,
-    //         height: state.height,
-    //         fill: "none",
-    //         stroke: this.color,
-    //         "stroke-width": "2px"
-    //     });
+    space(size) {
+        // Without a size the default gap is used, like "|||"
+        return this.push(size === undefined ? { type: "space" } : { type: "space", size });
+    }
 
-    //     const text = this.createText(state.x, state.y, state.caption);
+    // DECORATIONS
 
-    //     const group = this.createSvgElement("g", {});
-    //     group.appendChild(box);
-    //     group.appendChild(text);
-    //     return group;
-    // }
+    title(text) {
+        return this.decoration("title", text);
+    }
 
-    drawSvgArrow(signal, sizes) {
-        const markerId = "arrow" + (signal.open ? "Open" : "Closed") + "Right";
+    header(text, align = "right") {
+        return this.decoration("header", text, align);
+    }
 
-        let attrs = {
-            "stroke": this.color,
-            "stroke-width": "2px",
-            "marker-end": "url(#" + markerId + ")"
-        };
+    footer(text, align = "center") {
+        return this.decoration("footer", text, align);
+    }
 
-        if (signal.dotted) {
-            attrs["stroke-dasharray"] = "4, 2";
-        }
+    caption(text) {
+        return this.decoration("caption", text);
+    }
 
-        let line = null;
+    legend(text, align = "center") {
+        return this.decoration("legend", text, align);
+    }
 
-        if (signal.startX == signal.endX) {
-            // Self-arrow
-            attrs["fill"] = "none";
-            attrs["d"] = `
-                M ${signal.startX} ${signal.startY - 10}
-                h ${signal.endY - signal.startY + 50} 
-                a 10 10 0 0 1 10 10 
-                v ${signal.endY - signal.startY + 1} 
-                a 10 10 0 0 1 -10 10 
-                h -44
-            `;
-            line = this.createSvgElement("path", attrs);
+    decoration(type, text, align) {
+        // Decorations belong to the whole diagram, so they are always added at the top level
+        if (!text) {
+            throw new Error(`A ${type} needs a text`);
+        }
+        const e = { type, caption: String(text).trim() };
+        if (align !== undefined) {
+            if (!["left", "right", "center"].includes(align)) {
+                throw new Error(`'${align}' is not one of 'left', 'right' or 'center'`);
+            }
+            e.align = align;
+        }
+        if (e.caption.includes("\n")) {
+            e.caption = e.caption.split(/\r?\n/).map(line => line.trim() + "\n").join("");
+        }
+        this.events.push(e);
+        return this;
+    }
 
-        } else {
-            attrs["x1"] = signal.startX;
-            attrs["y1"] = signal.startY + 10;
-            attrs["x2"] = signal.endX + (signal.startX < signal.endX ? -7 : 7);
-            attrs["y2"] = signal.endY + 10;
-            line = this.createSvgElement("line", attrs);
+    // STYLING
+
+    skinparam(name, value) {
+        // Settings apply to the whole diagram, so they are always added at the top level
+        const setting = Object.keys(LocalSequenceDiagrams.SKINPARAMS).find(key => key.toLowerCase() === String(name).toLowerCase());
+        if (!setting) {
+            throw new Error(`Unknown skinparam '${name}'`);
         }
+        if (this.seqDiagram.parseSkinparamValue(LocalSequenceDiagrams.SKINPARAMS[setting][0], String(value)) === null) {
+            throw new Error(`'${value}' is not a valid value for '${setting}'`);
+        }
+        this.events.push({ type: "skinparam", name: setting, value: String(value) });
+        return this;
+    }
 
-        const textX = (signal.startX + signal.endX) / 2;
-        const text = this.drawSvgText(
-            textX - (signal.startX == signal.endX ? 5 : 0),
-            signal.startY,
-            signal.caption,
-            (signal.startX == signal.endX) ? "end" : "middle",
-            `rotate(0 ${signal.startX} ${signal.startY})`
-        );
+    hideFootbox() {
+        // Like "hide footbox", only the participants at the top are drawn
+        this.events.push({ type: "footbox", visible: false });
+        return this;
+    }
 
-        const group = this.createSvgElement("g", {});
-        group.appendChild(line);
-        group.appendChild(text);
-        return group;
+    colored(e, options) {
+        // Colors are written as in scripts, with or without the "#": "#red", "lightblue" or "#f80"
+        if (options.color) {
+            const color = this.seqDiagram.parseColor(String(options.color));
+            if (!color) {
+                throw new Error(`'${options.color}' is not a color`);
+            }
+            e.color = color;
+        }
+        return e;
     }
 
-    // ASCII ART CALCULATE TEXT SIZE
+    // BLOCKS
 
-    calculateTextDimensionsAscii(content) {
-        // get height from number of newlines in the content
-        // get width from the longest line in the content
-        const bbox = {
-            height: content.split(/\n|\\n/).length,
-            width: Math.max(...content.split(/\n|\\n/).map(line => line.length))
-        };
+    alt(guard, build, options) {
+        return this.fragment("alt", guard, build, options);
+    }
 
-        return bbox;
+    opt(guard, build, options) {
+        return this.fragment("opt", guard, build, options);
     }
 
-    // ASCII ART RENDERING
+    loop(guard, build, options) {
+        return this.fragment("loop", guard, build, options);
+    }
 
-    renderAsciiElements(actors, events, width, height) {
-        let asciiArt = Array.from({ length: height + 2 }, () => Array(Math.ceil(width)).fill(' '));
+    par(guard, build, options) {
+        return this.fragment("par", guard, build, options);
+    }
 
-        // Render actors
-        for (let i = 0; i < actors.length; i++) {
-            this.drawAsciiParticipant(asciiArt, actors[i]);
-        }
+    seq(guard, build, options) {
+        return this.fragment("seq", guard, build, options);
+    }
 
-        // Render events
-        this.renderAsciiNestedEvents(asciiArt, events);
+    fragment(type, guard, build, options = {}) {
+        // options: { color } as in "alt #eee guard", and may follow build when there is no guard
+        if (typeof guard === "function") {
+            [guard, build, options] = ["", guard, build || {}];
+        }
+        const e = { type, cases: [] };
+        this.push(this.colored(e, options));
+        return this.addCase(e, guard, build);
+    }
 
-        return asciiArt
-            .map(row => row.join(''))
-            .join('\n');
+    else(guard, build) {
+        // Adds another case to the fragment that was added last
+        const e = this.eventStack.at(-1).at(-1);
+        if (!e || !this.seqDiagram.isFragment(e)) {
+            throw new Error("'else' must follow one of alt, opt, loop, par or seq");
+        }
+        return this.addCase(e, guard, build);
     }
 
-    renderAsciiNestedEvents(asciiArt, events) {
-        for (let i = 0; i < events.length; i++) {
-            const e = events[i];
-            if (e.type == "signal") {
-                this.drawAsciiArrow(asciiArt, e);
-            } else if (e.type == "note") {
-                this.drawAsciiNoteBox(asciiArt, e);
-            } else if (e.type == "alt") {
-                this.drawAsciiAltBox(asciiArt, e);
-            }
+    addCase(e, guard, build) {
+        if (typeof guard === "function") {
+            [guard, build] = ["", guard];
         }
+        const c = { caption: this.seqDiagram.trimGuard(String(guard || "")), events: [] };
+        e.cases.push(c);
+        return this.nest(c.events, build);
     }
 
-    drawAsciiText(asciiArt, text, startX, startY) {
-        let x = Math.floor(startX);
-        let y = Math.floor(startY);
+    parallel(build) {
+        const e = { type: "parallel", events: [] };
+        this.push(e);
+        return this.nest(e.events, build);
+    }
 
-        for (let i = 0; i < text.length; i++) {
-            if (text[i] === '\n') {
-                x = startX;
-                y++;
-            }
-            else if (text[i] === '\\' && text[i+1] === 'n') {
-                i++;
-                x = startX;
-                y++;
-            }
-            else {
-                asciiArt[y][x] = text[i];
-                x++;
+    serial(build) {
+        const e = { type: "serial", events: [] };
+        this.push(e);
+        return this.nest(e.events, build);
+    }
+
+    nest(events, build) {
+        this.eventStack.push(events);
+        try {
+            if (build) {
+                build(this);
             }
+        } finally {
+            this.eventStack.pop();
         }
+        return this;
     }
 
-    drawAsciiParticipant(asciiArt, actor) {
-        const x = Math.floor(actor.x);
-        const y = Math.floor(actor.y);
-        const width = Math.floor(actor.width);
-        const height = Math.floor(actor.height);
-        const lineX = Math.floor(actor.lineX);
+    push(e) {
+        this.eventStack.at(-1).push(e);
+        return this;
+    }
 
-        if (actor.type === "actor") {
-            // Draw stickman
-            asciiArt[y][lineX - 2] = '.';
-            asciiArt[y][lineX - 1] = '_';
-            asciiArt[y][lineX] = 'O';
-            asciiArt[y][lineX + 1] = '_';
-            asciiArt[y][lineX + 2] = '.';
-            asciiArt[y + 1][lineX] = '|';
-            asciiArt[y + 2][lineX - 1] = '/';
-            asciiArt[y + 2][lineX + 1] = '\\';
+    // OUTPUT
 
-            // Draw caption under the stickman
-            this.drawAsciiText(asciiArt, actor.caption, x+2, y+3);
-        } else {
-            // Draw box
-            for (let i = 1; i < width - 1; i++) {
-                asciiArt[y][x + i] = '═';
-                asciiArt[y + height - 1][x + i] = (lineX == x + i) ? '╤' : '═';
-            }
-            for (let i = 1; i < height - 1; i++) {
-                asciiArt[y + i][x] = '║';
-                asciiArt[y + i][x + width - 1] = '║';
-            }
-            asciiArt[y][x] = '╔';
-            asciiArt[y][x + width - 1] = '╗';
-            asciiArt[y + height - 1][x] = '╚';
-            asciiArt[y + height - 1][x + width - 1] = '╝';
+    toModel() {
+        // Placement adds positions to the model, so every call returns a fresh copy
+        return JSON.parse(JSON.stringify({ actors: this.actors, events: this.events }));
+    }
 
-            // Draw caption
-            this.drawAsciiText(asciiArt, actor.caption, x+1, y+1);
-        }
+    toScript() {
+        const { actors, events } = this.toModel();
+        return this.seqDiagram.modelToScript(actors, events);
+    }
 
-        // Draw swimlane line
-        for (let i = actor.height; i <= actor.lineY; i++) {
-            asciiArt[y + i][lineX] = '│';
-        }
+    toSvgElement() {
+        const { actors, events } = this.toModel();
+        return this.seqDiagram.modelToSvgElement(actors, events);
     }
 
-    drawAsciiArrow(asciiArt, signal) {
-        const startX = Math.floor(signal.startX);
-        const endX = Math.floor(signal.endX);
-        const y = Math.floor(signal.startY);
-        const direction = (startX < endX) ? 1 : -1;
-        const textStartX = (startX == endX)
-            ? startX - Math.floor(signal.width)
-            : Math.floor((signal.startX + signal.endX) / 2) - Math.floor(signal.caption.length / 2);
+    toSvgText() {
+        const { actors, events } = this.toModel();
+        return this.seqDiagram.modelToSvgText(actors, events);
+    }
 
-        // Draw arrow line
-        if (signal.startX == signal.endX) {
-            // Self-arrow
-            asciiArt[y-1][startX+1] = '─';
-            asciiArt[y-1][startX+2] = '─';
-            asciiArt[y-1][startX+3] = '╮';
-            asciiArt[y][startX+3] = '╯';
-            asciiArt[y][startX+2] = '─';
+    toAsciiArt() {
+        const { actors, events } = this.toModel();
+        return this.seqDiagram.modelToAsciiArt(actors, events);
+    }
+}
 
-        } else {
-            for (let x = Math.min(startX, endX)+1; x < Math.max(startX, endX); x++) {
-                asciiArt[y][x] = '─';
-            }
-        }
+// VIRTUAL SVG DOCUMENT
+//
+// Trivial stand-in for the browser DOM API for SVG elements.  Only what the renderer uses is
+// implemented, and getBBox() estimates the size of text from the widths of the Arial glyphs.
+
+class VirtualSvgElement {
+    // Advance widths of the printable ASCII characters (space through "~") in 1/1000 em
+    static charWidths = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+
+    constructor(namespaceURI, tagName) {
+        this.namespaceURI = namespaceURI;
+        this.tagName = tagName;
+        this.attributes = {};
+        this.children = [];
+        this.textContent = "";
+    }
 
-        // Draw arrow head
-        if (direction > 0)
-            asciiArt[y][endX - 1] = signal.open ? '>' : '►';
-        else
-            asciiArt[y][endX + 1] = signal.open ? '<' : '◄';
+    setAttribute(name, value) {
+        this.attributes[name] = String(value);
+    }
 
-        // Draw caption
-        this.drawAsciiText(asciiArt, signal.caption, textStartX, y-1);
+    getAttribute(name) {
+        return (name in this.attributes) ? this.attributes[name] : null;
     }
 
-    drawAsciiNoteBox(asciiArt, note) {
-        const x = Math.floor(note.x);
-        const y = Math.floor(note.y);
-        const width = Math.floor(note.width);
-        const height = Math.floor(note.height);
+    appendChild(child) {
+        this.children.push(child);
+        return child;
+    }
 
-        // Draw box sides
-        for (let i = 1; i < width - 1; i++) {
-            asciiArt[y][x + i] = '═';
-            asciiArt[y + height - 1][x + i] = '═';
+    removeChild(child) {
+        this.children = this.children.filter(c => c !== child);
+        return child;
+    }
+
+    getStyle(name) {
+        const match = (this.getAttribute("style") || "").match(new RegExp(`(?:^|;)\\s*${name}\\s*:\\s*([^;]+)`));
+        return match ? match[1].trim() : this.getAttribute(name);
+    }
+
+    measureLine(line, fontSize, bold) {
+        let width = 0;
+        for (const char of line) {
+            const code = char.codePointAt(0);
+            // Characters outside of printable ASCII are assumed to be an average letter, or a full em if wide (e.g. CJK)
+            const charWidth = (code >= 32 && code <= 126) ? VirtualSvgElement.charWidths[code - 32] : (code >= 0x1100 ? 1000 : 556);
+            width += charWidth;
         }
-        for (let i = 1; i < height - 1; i++) {
-            asciiArt[y + i][x] = '║';
-            asciiArt[y + i][x + width - 1] = '║';
+        return width * fontSize / 1000 * (bold ? 1.05 : 1);
+    }
+
+    getBBox() {
+        if (this.tagName !== "text" && this.tagName !== "tspan") {
+            return { x: 0, y: 0, width: 0, height: 0 };
         }
 
-        // Draw box corners
-        asciiArt[y][x] = '╔';
-        asciiArt[y][x + width - 1] = '·';  // would be nice to use lower-left triangle '◺' but it's not monospaced  ¯\_(ツ)_/¯
-        asciiArt[y + height - 1][x] = '╚';
-        asciiArt[y + height - 1][x + width - 1] = '╝';
+        // Each tspan is a line that is 1em below the previous one
+        const fontSize = parseFloat(this.getStyle("font-size")) || 16;
+        const bold = /bold|[6-9]00/.test(this.getStyle("font-weight") || "");
+        const lines = (this.children.length > 0) ? this.children.map(c => c.textContent) : [this.textContent];
+        const width = Math.max(...lines.map(line => this.measureLine(line, fontSize, bold)));
+
+        return {
+            x: 0,
+            y: -fontSize * 0.905,
+            width,
+            height: fontSize * 1.15 + fontSize * (lines.length - 1)
+        };
+    }
+}
 
-        // Draw caption
-        this.drawAsciiText(asciiArt, note.caption, x + 1, y + 1);
+class VirtualSvgDocument {
+    constructor() {
+        this.body = new VirtualSvgElement(null, "body");
     }
 
-    drawAsciiAltBox(asciiArt, alt) {
-        const x = Math.floor(alt.x);
-        const y = Math.floor(alt.y);
-        const width = Math.floor(alt.width);
-        const height = Math.floor(alt.height);
+    createElementNS(namespaceURI, tagName) {
+        return new VirtualSvgElement(namespaceURI, tagName);
+    }
 
-        // Draw box
-        for (let i = 1; i < width - 1; i++) {
-            asciiArt[y][x + i] = '═';
-            asciiArt[y + height - 1][x + i] = '═';
-            // draw intersections with swimlanes with ╪?
-        }
-        for (let i = 1; i < height - 1; i++) {
-            asciiArt[y + i][x] = '║';
-            asciiArt[y + i][x + width - 1] = '║';
-        }
-        asciiArt[y][x] = '╔';
-        asciiArt[y][x + width - 1] = '╗';
-        asciiArt[y + height - 1][x] = '╚';
-        asciiArt[y + height - 1][x + width - 1] = '╝';
+    createElement(tagName) {
+        return new VirtualSvgElement(null, tagName);
+    }
+}
 
-        asciiArt[y][x+6] = '╤';
-        asciiArt[y+1][x+6] = '│';
-        asciiArt[y+2][x] = '╟';
-        asciiArt[y+2][x+1] = '─';
-        asciiArt[y+2][x+2] = '─';
-        asciiArt[y+2][x+3] = '─';
-        asciiArt[y+2][x+4] = '─';
-        asciiArt[y+2][x+5] = '─';
-        asciiArt[y+2][x+6] = '╯';
+class VirtualSvgSerializer {
+    serializeToString(element, isRoot = true) {
+        const escape = (value) => String(value)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+
+        // Like the browser, the namespace is declared on the outermost element
+        const attributes = { ...element.attributes };
+        if (isRoot && element.namespaceURI && !("xmlns" in attributes)) {
+            attributes.xmlns = element.namespaceURI;
+        }
 
-        // Draw "Alt" label
-        this.drawAsciiText(asciiArt, `Alt`, x + 2, y + 1);
+        const attrs = Object.entries(attributes)
+            .map(([key, value]) => ` ${key}="${escape(value)}"`)
+            .join("");
 
-        // Draw cases
-        let currentY = y + 1;
-        for (let i = 0; i < alt.cases.length; i++) {
-            const textStartX = Math.floor(alt.x + alt.width/2 - alt.cases[i].caption.length/2);
-            if (i > 0) {
-                for (let w = 1; w < width-1; w++) {
-                    asciiArt[currentY-1][x+w] = '┈';
-                    // draw intersections with swimlanes with  ┼ ?
-                }
-            }
-            this.drawAsciiText(asciiArt, `[${alt.cases[i].caption}]`, textStartX, currentY);
-            this.renderAsciiNestedEvents(asciiArt, alt.cases[i].events);
-            currentY += alt.cases[i].height;
+        if (element.children.length === 0 && !element.textContent) {
+            return `<${element.tagName}${attrs}/>`;
         }
+
+        const childrenString = element.children
+            .map(child => this.serializeToString(child, false))
+            .join("");
+
+        return `<${element.tagName}${attrs}>${escape(element.textContent)}${childrenString}</${element.tagName}>`;
     }
 }
+
+if (typeof module !== "undefined" && module.exports) {
+    module.exports = Object.assign(LocalSequenceDiagrams, {
+        LocalSequenceDiagrams,
+        SequenceDiagramBuilder,
+        VirtualSvgElement,
+        VirtualSvgDocument,
+        VirtualSvgSerializer
+    });
+}
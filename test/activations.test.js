@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `A->+B: request
+B->+C: forward
+C-->-B: done
+B-->-A: response
+`;
+
+test('"+" and "-" after the arrow activate the destination and deactivate the source', () => {
+    const { events } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(events.filter(e => e.type !== 'signal'), [
+        { type: 'activate', src: 'B' },
+        { type: 'activate', src: 'C' },
+        { type: 'deactivate', src: 'C' },
+        { type: 'deactivate', src: 'B' }
+    ]);
+});
+
+test('activate and deactivate are also commands of their own', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('A->B: go\nactivate B\nB->A: back\ndeactivate B\n');
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.filter(e => e.type !== 'signal'), [{ type: 'activate', src: 'B' }, { type: 'deactivate', src: 'B' }]);
+});
+
+test('an activation is drawn as a bar from the activating to the deactivating message', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const rows = ascii.filter(row => row.includes('┃')).length;
+    assert.ok(rows >= 8, `expected the bar of B to span the messages, got ${rows} rows`);
+    assert.ok(ascii.some(row => /─►┃/.test(row)), 'the request ends on the bar of B');
+});
+
+test('nested activations are offset so that both bars stay visible', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText('A->+B: one\nB->+B: two\nB->-A: three\ndeactivate B\n');
+    const bars = [...svg.matchAll(/<rect x="([\d.]+)" y="[\d.]+" width="10"/g)].map(m => Number(m[1]));
+    assert.equal(bars.length, 2);
+    assert.ok(bars[1] > bars[0]);
+});
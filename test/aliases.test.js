@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('signals, notes and lifetime events refer to a participant by its alias or its caption', () => {
+    const { actors, events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(`participant "Long Name" as L
+U->"Long Name": hi
+L->U: back
+note over "Long Name": noted
+activate L
+deactivate "Long Name"
+`);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(actors.map(a => [a.caption, a.alias]), [['Long Name', 'L'], ['U', 'U']]);
+    assert.deepEqual(events.map(e => e.src), ['U', 'L', 'L', 'L', 'L']);
+    assert.equal(events[0].dest, 'L');
+});
+
+test('a participant is drawn with its caption, not its alias', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('participant "Long Name" as L\nL->U: hi\n');
+    assert.match(ascii, /║Long Name║/);
+    assert.doesNotMatch(ascii, /║L║/);
+});
+
+test('aliases survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const script = 'participant "Long Name" as L\nactor User as U\n\nU->L: hi\nL-->U: ok\n';
+    assert.equal(diagrams.formatScript(script), script);
+});
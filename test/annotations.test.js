@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `participant A
+participant B
+
+A->B: go
+ref over A, B: login
+state over B: ready
+`;
+
+test('ref and state are annotations over participants', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.slice(1), [
+        { type: 'ref', caption: 'login', align: 'over', src: 'A', dest: 'B' },
+        { type: 'state', caption: 'ready', align: 'over', src: 'B' }
+    ]);
+});
+
+test('a ref is drawn as a frame with a "ref" tab and a state as a rounded box', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script);
+    assert.match(ascii, /║ ref │/);
+    assert.match(ascii, /║ login ║/);
+    assert.match(ascii, /╭─────╮.*\n.*│ready│.*\n.*╰─────╯/);
+
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(script);
+    assert.match(svg, /<rect [^>]*rx="/, 'the state box has rounded corners');
+});
+
+test('ref and state survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.equal(diagrams.formatScript(script), script);
+});
@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `autonumber 10 5 "<b>[000]"
+A->B: one
+opt x
+    B->A: two
+end
+autonumber stop
+A->B: three
+autonumber resume
+A->B: four
+`;
+
+test('autonumber takes a start, an increment and a format', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events[0], { type: 'autonumber', action: 'start', start: 10, increment: 5, format: '<b>[000]' });
+    assert.deepEqual(events.filter(e => e.type === 'autonumber').map(e => e.action), ['start', 'stop', 'resume']);
+});
+
+test('messages are numbered in script order, through fragments, until numbering stops', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script);
+    assert.match(ascii, /\[010\] one/);
+    assert.match(ascii, /\[015\] two/);
+    assert.doesNotMatch(ascii, /\] three/);
+    assert.match(ascii, /\[020\] four/);
+});
+
+test('messages are not numbered without autonumber', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->B: one\n');
+    assert.doesNotMatch(ascii, /1 one/);
+});
+
+test('autonumber survives formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.ok(formatted.endsWith(script));
+    assert.equal(diagrams.formatScript(formatted), formatted);
+});
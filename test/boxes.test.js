@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `actor User
+box "Backend" #lightblue
+    participant API
+    database DB
+end box
+User->API: request
+API->DB: query
+`;
+
+test('a box lists the participants declared inside it', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events[0], { type: 'box', caption: 'Backend', participants: ['API', 'DB'], color: 'lightblue' });
+});
+
+test('participants used before their box are moved next to each other', () => {
+    const { actors } = new LocalSequenceDiagrams().parseScriptToArrays('A->C: x\nB->A: y\nbox Pair\n    participant A\n    participant B\nend box\n');
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->C: x\nB->A: y\nbox Pair\n    participant A\n    participant B\nend box\n');
+    assert.deepEqual(actors.map(a => a.alias), ['A', 'C', 'B']);
+    const header = ascii.split('\n').find(row => row.includes('║A║'));
+    assert.ok(header.indexOf('║B║') < header.indexOf('║C║'));
+});
+
+test('only participant declarations go inside a box', () => {
+    const { diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('box X\nparticipant A\nA->B: y\nend box\n');
+    assert.equal(diagnostics.length, 1);
+    assert.match(diagnostics[0].message, /Only participants can be declared inside the 'box' opened on line 1/);
+});
+
+test('the box is drawn behind its participants with its caption above them', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const top = ascii.findIndex(row => row.includes('─ Backend ─'));
+    const header = ascii.findIndex(row => row.includes('║API║'));
+    assert.ok(top >= 0 && top < header);
+    const left = ascii[top].indexOf('┌');
+    assert.ok(left < ascii[header].indexOf('║API║') && ascii[header].indexOf('║API║') < ascii[top].indexOf('┐'));
+
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(script);
+    assert.ok(svg.indexOf('fill="lightblue"') < svg.indexOf('>API</tspan>'), 'the box comes before the participants');
+});
+
+test('boxes survive formatting and the PlantUML and Mermaid round trips', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const boxOf = (script) => diagrams.parseScriptToArrays(script).events.find(e => e.type === 'box');
+    assert.deepEqual(boxOf(diagrams.formatScript(script)), boxOf(script));
+    assert.deepEqual(boxOf(diagrams.plantUmlToScript(diagrams.scriptToPlantUml(script).text).script), boxOf(script));
+    assert.deepEqual(boxOf(diagrams.mermaidToScript(diagrams.scriptToMermaid(script).text).script), boxOf(script));
+});
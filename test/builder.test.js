@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const parse = (script) => new LocalSequenceDiagrams().parseScriptToArrays(script);
+
+test('the builder produces the same model as the equivalent script', () => {
+    const built = new LocalSequenceDiagrams().createBuilder()
+        .actor("User")
+        .participant("Web Server", "API")
+        .message("User", "API", "login", { activate: true })
+        .message("API", "User", "welcome", { dotted: true })
+        .deactivate("API")
+        .toModel();
+    const { actors, events } = parse('actor User\nparticipant "Web Server" as API\nUser->+API: login\nAPI-->User: welcome\ndeactivate API\n');
+    assert.deepEqual(built.actors, actors);
+    assert.deepEqual(built.events, events);
+});
+
+test('captions with colons need no escaping in the builder', () => {
+    const diagram = new LocalSequenceDiagrams().createBuilder().message("A", "B", "login: first try");
+    assert.equal(diagram.toModel().events[0].caption, 'login: first try');
+    assert.equal(parse(diagram.toScript()).events[0].caption, 'login: first try');
+});
+
+test('names with quotes and captions with padding survive toScript', () => {
+    const diagram = new LocalSequenceDiagrams().createBuilder()
+        .participant('A"q')
+        .participant('Long "N"', 'L"a')
+        .message('A"q', 'L"a', '  padded  ')
+        .message('L"a', 'A"q', '"quoted"')
+        .note("over", ['A"q', 'L"a'], ' both ');
+    const model = diagram.toModel();
+    const { actors, events, diagnostics } = parse(diagram.toScript());
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(actors, model.actors);
+    assert.deepEqual(events, model.events);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+
+const cli = path.join(__dirname, '..', 'local-sequence-diagrams-cli.js');
+
+function run(args, options = {}) {
+    return spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', timeout: 30000, ...options });
+}
+
+function temporaryDirectory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sd-cli-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+test('stdin is rendered to stdout', () => {
+    const result = run(['-f', 'ascii'], { input: 'A->B: hello\n' });
+    assert.equal(result.status, 0);
+    assert.match(result.stdout, /hello/);
+    assert.match(result.stdout, /║A║/);
+});
+
+test('files and globs are rendered next to the inputs', (t) => {
+    const directory = temporaryDirectory(t);
+    fs.mkdirSync(path.join(directory, 'docs'));
+    fs.writeFileSync(path.join(directory, 'docs', 'a.sd'), 'A->B: one\n');
+    fs.writeFileSync(path.join(directory, 'docs', 'b.sd'), 'A->B: two\n');
+
+    const result = run(['docs/*.sd'], { cwd: directory });
+    assert.equal(result.status, 0, result.stderr);
+    assert.match(fs.readFileSync(path.join(directory, 'docs', 'a.svg'), 'utf8'), /^<svg /);
+    assert.ok(fs.existsSync(path.join(directory, 'docs', 'b.svg')));
+});
+
+test('diagnostics go to stderr and errors set the exit code', () => {
+    const result = run(['-f', 'ascii'], { input: 'A->B: fine\nbogus\n' });
+    assert.equal(result.status, 1);
+    assert.match(result.stderr, /^<stdin>:2:1: error: Unknown command 'bogus'/);
+});
+
+test('invalid usage exits with 2', () => {
+    assert.equal(run(['-f', 'gif'], { input: '' }).status, 2);
+    assert.equal(run(['--watch'], { input: '' }).status, 2);
+});
+
+test('--watch renders changed files, files saved by renaming and new files matching a glob', async (t) => {
+    const directory = temporaryDirectory(t);
+    fs.writeFileSync(path.join(directory, 'a.sd'), 'A->B: one\n');
+
+    const child = spawn(process.execPath, [cli, '-f', 'ascii', '--watch', '*.sd'], { cwd: directory });
+    t.after(() => child.kill());
+    let stderr = '';
+    child.stderr.on('data', (data) => { stderr += data; });
+    const waitFor = (pattern) => new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error(`timed out waiting for ${pattern} in:\n${stderr}`)), 10000);
+        const check = () => {
+            if (pattern.test(stderr)) {
+                clearTimeout(timer);
+                child.stderr.off('data', check);
+                resolve();
+            }
+        };
+        child.stderr.on('data', check);
+        check();
+    });
+
+    await waitFor(/Watching 1 file/);
+    fs.writeFileSync(path.join(directory, 'a.tmp'), 'A->B: renamed\n');
+    fs.renameSync(path.join(directory, 'a.tmp'), path.join(directory, 'a.sd'));
+    await waitFor(/Rendered a\.sd/);
+    assert.match(fs.readFileSync(path.join(directory, 'a.txt'), 'utf8'), /renamed/);
+
+    fs.writeFileSync(path.join(directory, 'new.sd'), 'A->B: created\n');
+    await waitFor(/Rendered new\.sd/);
+    assert.match(fs.readFileSync(path.join(directory, 'new.txt'), 'utf8'), /created/);
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `title Checkout
+left header Draft
+legend right
+    solid: request
+    dotted: response
+end
+caption Figure 1: the happy path
+footer Page 1
+A->B: x
+`;
+
+test('title, header, footer, caption and legend are parsed with their alignment', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.slice(0, 5), [
+        { type: 'title', caption: 'Checkout' },
+        { type: 'header', caption: 'Draft', align: 'left' },
+        { type: 'legend', caption: 'solid: request\ndotted: response\n', align: 'right' },
+        { type: 'caption', caption: 'Figure 1: the happy path' },
+        { type: 'footer', caption: 'Page 1', align: 'center' }
+    ]);
+});
+
+test('the header and title are drawn above the participants and the rest below the lifelines', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const row = (text) => ascii.findIndex(r => r.includes(text));
+    assert.ok(row('Draft') < row('Checkout') && row('Checkout') < row('║A║'));
+    assert.ok(ascii[row('Draft')].startsWith(' Draft'), 'the header is on the left');
+    const bottom = ascii.findLastIndex(r => r.includes('║A║'));
+    assert.ok(bottom < row('dotted: response') && row('dotted: response') < row('Figure 1') && row('Figure 1') < row('Page 1'));
+    assert.ok(ascii[row('dotted: response')].trimEnd().endsWith('│'), 'the legend is on the right');
+});
+
+test('the SVG has the title as its title element', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(script);
+    assert.match(svg, /^<svg[^>]*><title>Checkout<\/title>/);
+});
+
+test('decorations survive formatting and the PlantUML round trip', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.equal(diagrams.formatScript(formatted), formatted);
+    const imported = diagrams.plantUmlToScript(diagrams.scriptToPlantUml(script).text).script;
+    // PlantUML puts the header before the title
+    const byType = (script) => diagrams.parseScriptToArrays(script).events.sort((a, b) => a.type.localeCompare(b.type));
+    assert.deepEqual(byType(imported), byType(formatted));
+});
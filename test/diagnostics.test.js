@@ -0,0 +1,40 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('each problem is reported with its line, column, severity, message and fix', () => {
+    const diagnostics = new LocalSequenceDiagrams().getDiagnostics('A->B: fine\nA->B hi\nbogus line\n');
+    assert.deepEqual(diagnostics, [
+        { line: 2, column: 1, severity: 'error', message: 'Message is missing a caption', fix: "Add ': caption' after the destination" },
+        { line: 3, column: 1, severity: 'error', message: "Unknown command 'bogus'", fix: "Messages are written as 'A->B: caption'" }
+    ]);
+});
+
+test('blocks that are not closed or not opened are errors', () => {
+    const diagnostics = new LocalSequenceDiagrams().getDiagnostics('end\nopt x\nA->B: z\n');
+    assert.deepEqual(diagnostics.map(d => [d.line, d.message]), [
+        [1, "'end' does not close any block"],
+        [2, "'opt' block is never closed"]
+    ]);
+});
+
+test('an unknown participant is a warning and is still drawn', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const script = 'participant A\nnote over Q: y\n';
+    assert.deepEqual(diagrams.getDiagnostics(script).map(d => [d.severity, d.message]), [
+        ['warning', "'note' refers to unknown participant 'Q'"]
+    ]);
+    assert.match(diagrams.scriptToAsciiArt(script), /║Q║/);
+});
+
+test('a note without a participant is an error and is dropped', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('A->B: x\nnote over: y\n');
+    assert.equal(diagnostics[0].severity, 'error');
+    assert.equal(events.length, 1);
+});
+
+test('a script with errors still renders the lines that parse', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->B: one\nfoo\nB->A: two\n');
+    assert.match(ascii, /one/);
+    assert.match(ascii, /two/);
+});
@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('scripts are extracted from comments and Markdown blocks without their comment markers', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const extract = (text) => diagrams.extractEmbeddedScripts(text).map(b => [b.type, b.startLine, b.script]);
+    assert.deepEqual(extract('code\n// <sequence>\n// A->B: line\n// </sequence>\n'), [['sequence', 1, 'A->B: line']]);
+    assert.deepEqual(extract('# <diagram>\n# A->B: hash\n# </diagram>\n'), [['diagram', 0, 'A->B: hash']]);
+    assert.deepEqual(extract('/*\n * <diagram>\n * A->B: block\n * </diagram>\n */\n'), [['diagram', 1, 'A->B: block']]);
+    assert.deepEqual(extract('Text\n\n```sequence\nA->B: md\n```\n'), [['markdown', 2, 'A->B: md']]);
+    assert.deepEqual(extract('// <sequence>\n// A->B: never closed\n'), []);
+});
+
+test('the ASCII art above an embedded script is regenerated and the script is kept', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const updated = diagrams.updateEmbeddedAsciiArt('# <sequence>\n# A->B: hi\n# </sequence>\n');
+    const lines = updated.split('\n');
+    assert.equal(lines[0], '# <sequence>');
+    assert.ok(lines.includes('#   │ hi │'));
+    assert.ok(lines.includes(`# ${LocalSequenceDiagrams.EMBEDDED_SEPARATOR}`));
+    assert.deepEqual(lines.slice(-3), ['# A->B: hi', '# </sequence>', '']);
+
+    const [block] = diagrams.extractEmbeddedScripts(updated);
+    assert.equal(block.script.trim(), 'A->B: hi');
+    assert.match(block.art, /║A║/);
+    assert.equal(diagrams.updateEmbeddedAsciiArt(updated), updated);
+});
+
+test('the example at the top of the library is up to date', () => {
+    const source = fs.readFileSync(path.join(__dirname, '..', 'local-sequence-diagrams.js'), 'utf8');
+    assert.equal(new LocalSequenceDiagrams().updateEmbeddedAsciiArt(source), source);
+});
@@ -0,0 +1,60 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `title Demo
+actor User as U
+participant "Web Server" as W
+U->W: GET /
+note right of W: thinking
+alt ok
+W-->U: 200
+else fail
+W-->U: 500
+end
+state over U: done
+`;
+
+test('scripts are exported to PlantUML', () => {
+    const { text, unsupported } = new LocalSequenceDiagrams().scriptToPlantUml(script);
+    assert.equal(text, `@startuml
+title Demo
+actor "User" as U
+participant "Web Server" as W
+U -> W : GET /
+note right of W : thinking
+alt ok
+    W --> U : 200
+else fail
+    W --> U : 500
+end
+hnote over U : done
+@enduml
+`);
+    assert.deepEqual(unsupported, ["state boxes are exported as 'hnote'"]);
+});
+
+test('scripts are exported to Mermaid', () => {
+    const { text, unsupported } = new LocalSequenceDiagrams().scriptToMermaid(script);
+    assert.equal(text, `sequenceDiagram
+    title Demo
+    actor U as User
+    participant W as Web Server
+    U->>W: GET /
+    Note right of W: thinking
+    alt ok
+        W-->>U: 200
+    else fail
+        W-->>U: 500
+    end
+    Note over U: done
+`);
+    assert.deepEqual(unsupported, ['state boxes are exported as notes']);
+});
+
+test('exported scripts import back to the same diagram', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const plain = 'participant A\nparticipant B\n\nA->B: hello\nB-->A: bye\n';
+    assert.equal(diagrams.formatScript(diagrams.plantUmlToScript(diagrams.scriptToPlantUml(plain).text).script), plain);
+    assert.equal(diagrams.formatScript(diagrams.mermaidToScript(diagrams.scriptToMermaid(plain).text).script), plain);
+});
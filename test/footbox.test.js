@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const headers = (ascii) => ascii.split('\n').filter(row => row.includes('║A║')).length;
+
+test('the participants are repeated at the bottom unless the footbox is hidden', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.equal(headers(diagrams.scriptToAsciiArt('A->B: x\n')), 2);
+    assert.equal(headers(diagrams.scriptToAsciiArt('hide footbox\nA->B: x\n')), 1);
+    assert.equal(headers(diagrams.scriptToAsciiArt('hide footbox\nshow footbox\nA->B: x\n')), 2, 'the last line wins');
+});
+
+test('hiding the footbox makes the SVG shorter', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const height = (svg) => Number(svg.match(/<svg width="[\d.]+" height="([\d.]+)"/)[1]);
+    const shown = diagrams.scriptToSvgText('A->B: x\n');
+    const hidden = diagrams.scriptToSvgText('hide footbox\nA->B: x\n');
+    assert.ok(height(hidden) < height(shown));
+    assert.equal(hidden.match(/>A<\/tspan>/g).length, 1);
+});
+
+test('other hide and show lines are warnings', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('hide unlinked\nA->B: x\n');
+    assert.equal(diagnostics[0].severity, 'warning');
+    assert.ok(!events.some(e => e.type === 'footbox'));
+});
+
+test('the footbox setting is exported and imported', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const script = 'hide footbox\nA->B: x\n';
+    assert.match(diagrams.scriptToPlantUml(script).text, /^hide footbox$/m);
+    assert.match(diagrams.scriptToMermaid(script).text, /"mirrorActors": false/);
+    assert.match(diagrams.importScript(diagrams.scriptToMermaid(script).text).script, /^hide footbox$/m);
+    assert.match(diagrams.wsdToScript('option footer=none\nA->B: x\n').script, /^hide footbox$/m);
+    assert.equal(diagrams.createBuilder().hideFootbox().message('A', 'B', 'x').toScript(), diagrams.formatScript(script));
+});
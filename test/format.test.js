@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('scripts are rewritten in a canonical form with their comments', () => {
+    const formatted = new LocalSequenceDiagrams().formatScript('# top\nA  ->  B :   hi\n  loop   forever\nB->C:x\n# inner\n   end\n');
+    assert.equal(formatted, 'participant A\nparticipant B\nparticipant C\n\n# top\nA->B: hi\nloop forever\n    B->C: x\n    # inner\nend\n');
+});
+
+test('a script with errors is returned unchanged', () => {
+    const script = 'A  ->B: ok\nbogus\n';
+    assert.equal(new LocalSequenceDiagrams().formatScript(script), script);
+});
+
+test('modelToScript writes a parsed model back to a script', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const { actors, events } = diagrams.parseScriptToArrays('B->A: z\n');
+    assert.equal(diagrams.modelToScript(actors, events), 'participant B\nparticipant A\n\nB->A: z\n');
+});
+
+test('formatting keeps the parsed model and is stable', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const scripts = [
+        'title Demo\nactor User as U\nparticipant "Web Server" as W\nU->+W: GET /\nW-->>-U: 200\n',
+        'A->*B: new\nnote left of B: hi\ndestroy B\n',
+        'autonumber 3\nalt ok\nA->B: yes\nelse\nA->B: no\nend\nref over A, B: other\n',
+        'parallel {\nA->B: one\nB->C: two\n}\n== section ==\n...\n||40||\nA->A: self\n',
+        'box "Group" #eee\nparticipant A\nparticipant B\nend box\nA<->B: both\n[->A: found\nB->]: lost\n'
+    ];
+    for (const script of scripts) {
+        const formatted = diagrams.formatScript(script);
+        const before = diagrams.parseScriptToArrays(script);
+        const after = diagrams.parseScriptToArrays(formatted);
+        assert.deepEqual(after.diagnostics, []);
+        assert.deepEqual(after.events.filter(e => e.type !== 'comment'), before.events.filter(e => e.type !== 'comment'), formatted);
+        assert.equal(diagrams.formatScript(formatted), formatted);
+    }
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `A->B: start
+opt ok
+    B->A: reply
+end
+loop 3 times
+    A->B: ping
+end
+par
+    A->B: one
+else
+    B->A: two
+end
+seq
+    A->B: x
+end
+`;
+
+test('opt, loop, par and seq are parsed into fragments with their cases', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.slice(1).map(e => e.type), ['opt', 'loop', 'par', 'seq']);
+    assert.deepEqual(events[2].cases.map(c => c.caption), ['3 times']);
+    assert.equal(events[3].cases.length, 2);
+    assert.equal(events[3].cases[1].events[0].caption, 'two');
+});
+
+test('each fragment is drawn as a frame with its keyword and guard around its messages', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    for (const label of ['║ opt │ [ok]', '║ loop │ [3 times]', '║ par │', '║ seq │']) {
+        const y = ascii.findIndex(row => row.includes(label));
+        assert.ok(y > 0, `missing ${label}`);
+        assert.ok(ascii[y - 1].startsWith('╔'));
+    }
+    assert.equal(ascii.filter(row => row.startsWith('╚═')).length, 4);
+    assert.ok(ascii.some(row => row.includes('┈┈┈')), 'the cases of par are separated by a dashed line');
+});
+
+test('fragments are laid out one below the other in the SVG', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(script);
+    const labels = ['opt', 'loop', 'par', 'seq'].map(label => svg.match(new RegExp(`<text x="[\\d.]+" y="([\\d.]+)"[^>]*><tspan[^>]*>${label}</tspan>`)));
+    assert.ok(labels.every(m => m), 'every fragment has its keyword');
+    const ys = labels.map(m => Number(m[1]));
+    assert.deepEqual([...ys].sort((a, b) => a - b), ys);
+});
+
+test('fragments survive formatting with their messages indented', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.ok(formatted.endsWith(script));
+    assert.equal(diagrams.formatScript(formatted), formatted);
+});
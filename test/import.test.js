@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('PlantUML is imported with its comments, participants, messages and notes', () => {
+    const { script, unsupported } = new LocalSequenceDiagrams().plantUmlToScript(`@startuml
+' comment
+/' block
+comment '/
+actor User as U
+participant W
+
+U -> W : hi
+W --> U : back
+note left of U
+multi
+end note
+@enduml
+`);
+    assert.equal(script, '# comment\nactor User as U\nparticipant W\n\nU->W: hi\nW-->U: back\nnote left of U\n    multi\nend\n');
+    assert.deepEqual(unsupported, []);
+});
+
+test('Mermaid is imported', () => {
+    const { script } = new LocalSequenceDiagrams().mermaidToScript(`sequenceDiagram
+    participant A as Alice
+    A->>B: hi
+    B--)A: async
+    Note over A,B: n
+`);
+    assert.equal(script, 'participant Alice as A\nA->B: hi\nB-->>A: async\nnote over A, B: n\n');
+});
+
+test('WebSequenceDiagrams scripts are imported', () => {
+    const { script } = new LocalSequenceDiagrams().wsdToScript('title T\nA->B: hi\nB-->A: ok\n');
+    assert.equal(script, 'title T\nA->B: hi\nB-->A: ok\n');
+});
+
+test('the language is detected from the script', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.equal(diagrams.importScript('sequenceDiagram\nA->>B: x\n').script, 'A->B: x\n');
+    assert.equal(diagrams.importScript('@startuml\nA -> B : x\n@enduml\n').script, 'A->B: x\n');
+});
+
+test('what cannot be imported is reported', () => {
+    const { unsupported } = new LocalSequenceDiagrams().plantUmlToScript('@startuml\nA -> B : x\n!include foo.puml\n@enduml\n');
+    assert.equal(unsupported.length, 1);
+});
+
+test('PlantUML line breaks in notes and messages are kept as line breaks', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const { script } = diagrams.plantUmlToScript('@startuml\nA -> B : one\\ntwo\nnote over A : three\\nfour\n@enduml\n');
+    assert.equal(script, 'A->B: one\\ntwo\nnote over A: three\\nfour\n');
+    const ascii = diagrams.scriptToAsciiArt(script).split('\n');
+    assert.equal(ascii.findIndex(row => row.includes('four')), ascii.findIndex(row => row.includes('three')) + 1);
+});
@@ -0,0 +1,38 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+test('"*" after the arrow creates the destination and destroy ends its lifeline', () => {
+    const { actors, events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('A->*B: new\nB->A: ok\ndestroy B\n');
+    assert.deepEqual(diagnostics, []);
+    assert.equal(actors.find(a => a.alias === 'B').created, true);
+    assert.equal(events[0].create, true);
+    assert.deepEqual(events.at(-1), { type: 'destroy', src: 'B' });
+});
+
+test('a created participant is drawn where it is created and a destroyed one is crossed out', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->*B: new\nB->A: ok\ndestroy B\n').split('\n');
+    assert.ok(!ascii[2].includes('║B║'), 'B is not in the top row');
+    assert.ok(ascii.some(row => /─►║B║/.test(row)), 'the creating arrow ends on the box of B');
+    assert.ok(ascii.some(row => row.includes('╳')));
+    assert.equal(ascii.filter(row => row.includes('║B║')).length, 1, 'a destroyed participant has no footbox');
+});
+
+test('the box of a created participant is centered on its lifeline in ASCII art', () => {
+    for (const script of ['participant A\nparticipant B\nA->B: hello\nA->*C: make\nC->A: hi\n', 'participant Cx\nparticipant Bob\nBob->*Cx: make\nCx->Bob: ok\n']) {
+        const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+        const y = ascii.findIndex(row => /[►◄]║C/.test(row) || /║C\w*║[►◄]/.test(row));
+        assert.ok(y > 0, 'the creating arrow touches the box');
+        const x = ascii[y + 1].indexOf('╤');
+        assert.ok(x > 0, 'the lifeline leaves the bottom of the box');
+        assert.equal(ascii[y + 2][x], '│');
+    }
+});
+
+test('create and destroy survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const script = diagrams.formatScript('A->*B: new\ndestroy B\n');
+    assert.match(script, /^A->\*B: new$/m);
+    assert.match(script, /^destroy B$/m);
+    assert.equal(diagrams.formatScript(script), script);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `Client<->Server: handshake
+Client-\\Server: fire and forget
+Server--/Client: async reply
+Client->x Server: timed out
+[->Client: found
+Server->x]: lost
+Client->]: to the outside
+`;
+
+const flags = (signal) => ['twoWay', 'half', 'failed', 'dotted'].filter(flag => signal[flag]).map(flag => flag === 'half' ? signal.half : flag);
+
+test('two-way, half, failed, found and lost messages are parsed', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.map(e => [e.src, e.dest, ...flags(e)]), [
+        ['Client', 'Server', 'twoWay'],
+        ['Client', 'Server', 'upper'],
+        ['Server', 'Client', 'lower', 'dotted'],
+        ['Client', 'Server', 'failed'],
+        ['[', 'Client'],
+        ['Server', ']', 'failed'],
+        ['Client', ']']
+    ]);
+});
+
+test('an "x" is part of the arrow only when it is not quoted and is followed by a space or the border', () => {
+    const { events } = new LocalSequenceDiagrams().parseScriptToArrays('A->"x y": hi\nA->xray: hi\nA->x +B: hi\n');
+    assert.deepEqual(events.filter(e => e.type === 'signal').map(e => [e.dest, !!e.failed]), [['x y', false], ['xray', false], ['B', true]]);
+    assert.deepEqual(events.at(-1), { type: 'activate', src: 'B' });
+});
+
+test('a message between the borders is an error', () => {
+    const { diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('[->]: x\n');
+    assert.match(diagnostics[0].message, /needs a participant at one of its ends/);
+});
+
+test('each kind of message has its own heads in ASCII art', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script);
+    for (const arrow of ['│◄──', '─►│', '─⇀│', '│↽─', '─×│', '●─', '─►●']) {
+        assert.ok(ascii.includes(arrow), `missing ${arrow}`);
+    }
+});
+
+test('names that look like a part of the arrow are quoted in script output', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const diagram = diagrams.createBuilder()
+        .message('A', 'x y', 'one')
+        .message('A<', '-B', 'two')
+        .message('*C', 'A', 'three', { failed: true, activate: true });
+    const { actors, events, diagnostics } = diagrams.parseScriptToArrays(diagram.toScript());
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual({ actors, events }, diagram.toModel());
+    assert.equal(diagrams.formatScript(script), diagrams.formatScript(diagrams.formatScript(script)));
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `participant A
+participant B
+participant C
+
+note left of A: left
+note over B: over
+note over A, C: wide
+note right of C: right
+`;
+
+test('notes are placed left of, right of, or over one or two participants', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.map(e => [e.align, e.src, e.dest]), [
+        ['left', 'A', undefined],
+        ['over', 'B', undefined],
+        ['over', 'A', 'C'],
+        ['right', 'C', undefined]
+    ]);
+});
+
+test('notes are drawn beside or across the lifelines they refer to', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const lineX = (name) => ascii[2].indexOf(`║${name}║`) + 1;
+    const box = (caption) => {
+        const y = ascii.findIndex(row => row.includes(`║${caption}`));
+        return [ascii[y].indexOf(`║${caption}`), ascii[y].indexOf('║', ascii[y].indexOf(`║${caption}`) + 1)];
+    };
+    assert.ok(box('left')[1] < lineX('A'));
+    assert.ok(box('over')[0] < lineX('B') && box('over')[1] > lineX('B'));
+    assert.ok(box('wide')[0] < lineX('A') && box('wide')[1] > lineX('C'));
+    assert.ok(box('right')[0] > lineX('C'));
+});
+
+test('the participant headers stay centered on their lifelines next to a note', () => {
+    for (const note of ['note left of A: hello there', 'note over A: hello there']) {
+        const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(`participant A\nparticipant B\n${note}\nA->B: x\n`).split('\n');
+        for (const name of ['A', 'B']) {
+            const x = ascii[2].indexOf(`║${name}║`) + 1;
+            assert.equal(ascii[3][x], '╤', `the lifeline of ${name} leaves its header`);
+            assert.equal(ascii[4][x], '│');
+        }
+    }
+});
+
+test('notes survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.equal(diagrams.formatScript(script), script);
+    assert.equal(diagrams.formatScript('note over A,C: wide\n'), 'participant A\nparticipant C\n\nnote over A, C: wide\n');
+});
@@ -0,0 +1,37 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `parallel {
+    A->B: one
+    C->D: two
+}
+serial {
+    A->B: three
+    B->A: four
+}
+`;
+
+test('parallel and serial blocks group their events', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.map(e => [e.type, e.events.map(s => s.caption)]), [
+        ['parallel', ['one', 'two']],
+        ['serial', ['three', 'four']]
+    ]);
+});
+
+test('the events of a parallel block share a row and the events of a serial block do not', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const row = (caption) => ascii.findIndex(r => r.includes(caption));
+    assert.equal(row('one'), row('two'));
+    assert.ok(row('four') > row('three'));
+    assert.ok(row('three') > row('one'));
+});
+
+test('parallel and serial blocks survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.ok(formatted.endsWith(script));
+    assert.equal(diagrams.formatScript(formatted), formatted);
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+const { SvgRasterizer } = require('../local-sequence-diagrams-png.js');
+
+const pixelAt = (image, x, y) => [...image.pixels.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 4)];
+
+test('named colors are rasterized with their values', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const script = 'participant DB #crimson\nparticipant B #steelblue\nDB->B: x\n';
+    const image = new SvgRasterizer({ background: '#fff' }).rasterize(diagrams.scriptToSvgElement(script));
+    // A pixel just inside the top left corner of the first box with that fill
+    const inside = (fill) => {
+        const [, x, y] = diagrams.scriptToSvgText(script).match(new RegExp(`<rect x="([\\d.]+)" y="([\\d.]+)"[^>]*fill="${fill}"`));
+        return pixelAt(image, Math.round(Number(x)) + 4, Math.round(Number(y)) + 4);
+    };
+    assert.deepEqual(inside('crimson'), [0xdc, 0x14, 0x3c, 255]);
+    assert.deepEqual(inside('steelblue'), [0x46, 0x82, 0xb4, 255]);
+});
+
+test('the rasterizer knows every color name that the parser accepts', () => {
+    const rasterizer = new SvgRasterizer();
+    for (const name of Object.keys(LocalSequenceDiagrams.NAMED_COLORS).filter(name => name !== 'transparent')) {
+        assert.equal(rasterizer.parseColor(name).length, 4, name);
+        assert.equal(new LocalSequenceDiagrams().parseColor('#' + name), name);
+    }
+    assert.deepEqual(rasterizer.parseColor('crimson'), [0xdc, 0x14, 0x3c, 255]);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const loopOf = (svg) => {
+    const d = svg.match(/<path[^>]*marker-end[^>]*d="([^"]*)"/)[1];
+    const [, x, top] = d.match(/M ([\d.]+) ([\d.]+)/);
+    const [, right] = d.match(/A 10 10 0 0 1 ([\d.]+)/);
+    const [, bottom] = d.match(/V ([\d.]+)/);
+    return { x: Number(x), right: Number(right), height: Number(bottom) - Number(top) };
+};
+
+test('a self-message loops out to the right of its lifeline with the caption beside the loop', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText('A->A: retry\n');
+    const loop = loopOf(svg);
+    assert.ok(loop.right > loop.x);
+    const captionX = Number(svg.match(/<text x="([\d.]+)"[^>]*text-anchor="start"[^>]*><tspan[^>]*>retry</)[1]);
+    assert.ok(captionX > loop.right, 'the caption does not cross the loop');
+    const width = Number(svg.match(/<svg width="([\d.]+)"/)[1]);
+    assert.ok(width > captionX + 30, 'the diagram is wide enough for the caption');
+});
+
+test('the loop grows with a multi-line caption', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const one = loopOf(diagrams.scriptToSvgText('A->A: retry\n'));
+    const three = loopOf(diagrams.scriptToSvgText('A->A: retry\\nand again\\nand again\n'));
+    assert.ok(three.height > one.height);
+});
+
+test('self-messages are drawn as loops beside their caption in ASCII art', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->B: hi\nB->B: validate\\ncache the result\nB<->B: two\n').split('\n');
+    const y = ascii.findIndex(row => row.includes('validate'));
+    assert.match(ascii[y], /│──╮ validate/);
+    assert.match(ascii[y + 1], /│  │ cache the result/);
+    assert.match(ascii[y + 2], /│◄─╯/);
+    const twoWay = ascii.findIndex(row => row.includes('two'));
+    assert.match(ascii[twoWay], /│◄─╮ two/);
+    assert.match(ascii[twoWay + 1], /│◄─╯/);
+});
+
+test('a caption beside a loop keeps the next participant out of its way', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt('A->A: a rather long caption\nA->B: x\n').split('\n');
+    const row = ascii.find(r => r.includes('a rather long caption'));
+    const header = ascii.find(r => r.includes('║B║'));
+    assert.ok(header.indexOf('║B║') >= row.indexOf('caption') + 'caption'.length);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `Client->Server: upload
+== Processing ==
+Server->Worker: convert
+...5 minutes later...
+Worker->Server: done
+|||
+||45||
+opt slow
+    ...
+end
+`;
+
+test('dividers, delays and spaces are parsed, also inside fragments', () => {
+    const { events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(events.filter(e => e.type !== 'signal' && e.type !== 'opt'), [
+        { type: 'divider', caption: 'Processing' },
+        { type: 'delay', caption: '5 minutes later' },
+        { type: 'space' },
+        { type: 'space', size: 45 }
+    ]);
+    assert.deepEqual(events.at(-1).cases[0].events, [{ type: 'delay', caption: '' }]);
+});
+
+test('a divider spans the diagram and a delay turns the lifelines into dotted lines', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const divider = ascii.find(row => row.includes('Processing'));
+    assert.match(divider, /^═+╡ Processing ╞═+$/);
+    const delay = ascii.findIndex(row => row.includes('5 minutes later'));
+    assert.equal((ascii[delay - 1].match(/┊/g) || []).length, 3);
+    assert.ok(!ascii[delay - 1].includes('│'));
+});
+
+test('delays are dotted in the SVG and spaces make it taller', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.match(diagrams.scriptToSvgText(script), /stroke-dasharray="1, 4"/);
+    const height = (svg) => Number(svg.match(/<svg width="[\d.]+" height="([\d.]+)"/)[1]);
+    const base = height(diagrams.scriptToSvgText('A->B: x\nA->B: y\n'));
+    assert.ok(height(diagrams.scriptToSvgText('A->B: x\n||45||\nA->B: y\n')) >= base + 45);
+});
+
+test('separators survive formatting and the PlantUML export', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.ok(formatted.endsWith(script));
+    assert.match(diagrams.scriptToPlantUml(script).text, /^== Processing ==\n[\s\S]*^\.\.\.5 minutes later\.\.\.$[\s\S]*^\|\|45\|\|$/m);
+    const builder = diagrams.createBuilder().divider(' Processing ').delay('').space(45);
+    assert.deepEqual(builder.toModel().events, [{ type: 'divider', caption: 'Processing' }, { type: 'delay', caption: '' }, { type: 'space', size: 45 }]);
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `boundary Screen
+control Logic
+entity Order
+database "Orders" as DB
+queue Events
+collections Items
+icon "Mail server" as Mail <$mail>
+Screen->DB: save
+`;
+
+const shapeOf = (kind) => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(`${kind} X\nhide footbox\n`);
+    return [...svg.split('</defs>')[1].matchAll(/<(rect|circle|ellipse|path|line)\b/g)].map(m => m[1]).join(' ');
+};
+
+test('each shape keyword declares a participant of that type', () => {
+    const { actors, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual(actors.map(a => a.type), ['boundary', 'control', 'entity', 'database', 'queue', 'collections', 'icon']);
+    assert.equal(actors.at(-1).icon, 'mail');
+});
+
+test('the shapes are drawn with their own SVG elements', () => {
+    assert.equal(shapeOf('participant'), 'rect line');
+    assert.equal(shapeOf('database'), 'path ellipse line');
+    assert.equal(shapeOf('queue'), 'path ellipse line');
+    assert.equal(shapeOf('collections'), 'rect rect line');
+    assert.equal(shapeOf('boundary'), 'circle path line');
+    assert.equal(shapeOf('entity'), 'circle line line');
+});
+
+test('icons that are unknown or on other shapes are reported as warnings', () => {
+    const { diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('icon X <$nope>\nparticipant Y <$mail>\n');
+    assert.deepEqual(diagnostics.map(d => [d.line, d.severity]), [[1, 'warning'], [2, 'warning']]);
+    assert.match(diagnostics[0].fix, /generic, server, cloud, mail/);
+});
+
+test('messages end on the lifelines of the shapes in ASCII art', () => {
+    const ascii = new LocalSequenceDiagrams().scriptToAsciiArt(script).split('\n');
+    const arrow = ascii.find(row => row.includes('►'));
+    const below = ascii[ascii.indexOf(arrow) + 1];
+    assert.equal(below[arrow.indexOf('►') + 1], '│');
+    assert.equal(below[arrow.indexOf('─') - 1], '│');
+});
+
+test('shapes and icons survive formatting', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    const formatted = diagrams.formatScript(script);
+    assert.match(formatted, /^database Orders as DB$/m);
+    assert.match(formatted, /^icon "Mail server" as Mail <\$mail>$/m);
+    assert.equal(diagrams.formatScript(formatted), formatted);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = `skinparam arrowColor #336
+participant API #lightblue
+User->API: login #red
+note over API #ffcc00: check
+alt #eeffee ok
+    API->User: welcome
+end
+`;
+
+test('colors after participants, messages, notes and fragments are kept in the model', () => {
+    const { actors, events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.equal(actors.find(a => a.alias === 'API').color, 'lightblue');
+    assert.deepEqual(events.filter(e => e.color).map(e => [e.type, e.caption, e.color]), [
+        ['signal', 'login', 'red'],
+        ['note', 'check', '#ffcc00'],
+        ['alt', undefined, '#eeffee']
+    ]);
+    assert.equal(events.find(e => e.type === 'alt').cases[0].caption, 'ok');
+});
+
+test('colors and skinparam settings are drawn in the SVG', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText(script);
+    assert.match(svg, /<rect[^>]*fill="lightblue"/);
+    assert.match(svg, /<line stroke="red"/);
+    assert.match(svg, /<line stroke="#336"/, 'the other messages use arrowColor');
+    assert.match(svg, /fill="#ffcc00"/);
+    assert.match(svg, /fill="#eeffee"/);
+});
+
+test('unknown skinparam names are reported as warnings', () => {
+    const { diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays('skinparam arowColor red\nA->B: x\n');
+    assert.equal(diagnostics.length, 1);
+    assert.equal(diagnostics[0].severity, 'warning');
+});
+
+test('a backslash keeps a color as text', () => {
+    const { events } = new LocalSequenceDiagrams().parseScriptToArrays('A->B: fix \\#123\nA->B: fix \\#123 #red\nalt \\#eee guard\nend\n');
+    assert.deepEqual(events.map(e => [e.caption || e.cases[0].caption, e.color]), [
+        ['fix #123', undefined],
+        ['fix #123', 'red'],
+        ['#eee guard', undefined]
+    ]);
+});
+
+test('text that would be read as a color is escaped in script output', () => {
+    const diagram = new LocalSequenceDiagrams().createBuilder()
+        .participant('#bad')
+        .box('#eee', b => b.participant('B', 'B', { color: 'red' }))
+        .message('#bad', 'B', 'x #red')
+        .message('B', '#bad', 'y #123', { color: 'blue' })
+        .message('B', 'B', 'a \\#b')
+        .alt('#fff', b => b.note('over', ['#bad'], 'n'));
+    const script = diagram.toScript();
+    assert.match(script, /: x \\#red$/m);
+    assert.match(script, /: y \\#123 #blue$/m);
+    const { actors, events, diagnostics } = new LocalSequenceDiagrams().parseScriptToArrays(script);
+    assert.deepEqual(diagnostics, []);
+    assert.deepEqual({ actors, events }, diagram.toModel());
+});
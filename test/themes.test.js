@@ -0,0 +1,45 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+
+const script = 'A->B: hello\nnote over A: thinking\n';
+const svgWith = (theme) => new LocalSequenceDiagrams(null, null, null, null, theme).scriptToSvgText(script);
+
+test('the presets change the colors, fonts and stroke widths of the SVG', () => {
+    const dark = svgWith('dark');
+    assert.match(dark, /fill="#2d2d30"/, 'the participant boxes are filled');
+    assert.match(dark, /<line stroke="#9cdcfe"/, 'messages have their own color');
+    const print = svgWith('print');
+    assert.match(print, /font-family: Times New Roman/);
+    assert.match(print, /stroke-dasharray="2, 3"/);
+    assert.doesNotMatch(print, /<rect[^>]*stroke-width="2px"/);
+    assert.match(svgWith('high-contrast'), /<rect[^>]*stroke-width="3px"/);
+});
+
+test('the layout follows the fonts of the theme', () => {
+    const width = (svg) => Number(svg.match(/<svg width="([\d.]+)"/)[1]);
+    assert.ok(width(svgWith({ fonts: { message: { size: 32 } } })) > width(svgWith('light')));
+});
+
+test('an object overrides parts of its preset and the constructor colors override both', () => {
+    const diagrams = new LocalSequenceDiagrams(null, null, '#123456', null, { preset: 'dark', participant: { radius: 6 } });
+    assert.equal(diagrams.theme.participant.radius, 6);
+    assert.equal(diagrams.theme.participant.fill, '#2d2d30');
+    assert.equal(diagrams.theme.foreground, '#123456');
+    assert.equal(diagrams.theme.background, '#1e1e1e');
+    assert.match(diagrams.scriptToSvgText(script), /<rect[^>]*rx="6"/);
+});
+
+test('setTheme switches presets and rejects unknown names', () => {
+    const diagrams = new LocalSequenceDiagrams();
+    assert.equal(diagrams.setTheme('print').theme.strokeWidth, 1);
+    assert.equal(diagrams.setTheme().theme.strokeWidth, 2);
+    assert.throws(() => diagrams.setTheme('neon'), /Unknown theme 'neon'/);
+});
+
+test('arrowheads have the stroke width of the theme', () => {
+    const widths = (svg) => [...new Set([...svg.matchAll(/class="arrowHead"[^>]*stroke-width="([^"]*)"/g)].map(m => m[1]))];
+    assert.deepEqual(widths(svgWith('print')), ['1px']);
+    assert.deepEqual(widths(svgWith('high-contrast')), ['3px']);
+    assert.deepEqual(widths(new LocalSequenceDiagrams().scriptToSvgText('skinparam arrowThickness 4\nA->B: x\n')), ['4px']);
+});
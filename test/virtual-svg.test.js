@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LocalSequenceDiagrams = require('../local-sequence-diagrams.js');
+const { VirtualSvgDocument, VirtualSvgSerializer } = LocalSequenceDiagrams;
+
+test('the module exports the renderer and the virtual SVG document', () => {
+    assert.equal(LocalSequenceDiagrams.LocalSequenceDiagrams, LocalSequenceDiagrams);
+    for (const name of ['SequenceDiagramBuilder', 'VirtualSvgElement', 'VirtualSvgDocument', 'VirtualSvgSerializer']) {
+        assert.equal(typeof LocalSequenceDiagrams[name], 'function', name);
+    }
+});
+
+test('scripts render to a standalone SVG document without a browser', () => {
+    const svg = new LocalSequenceDiagrams().scriptToSvgText('Alice->Bob: hello');
+    assert.match(svg, /^<svg [^>]*xmlns="http:\/\/www\.w3\.org\/2000\/svg"/);
+    assert.match(svg, /<\/svg>$/);
+    assert.match(svg, />hello<\/tspan>/);
+});
+
+test('text is measured from font metrics, so longer captions make wider diagrams', () => {
+    const width = (script) => Number(new LocalSequenceDiagrams().scriptToSvgText(script).match(/width="([\d.]+)"/)[1]);
+    assert.ok(width('A->B: a much longer caption than the other') > width('A->B: hi'));
+
+    const text = new VirtualSvgDocument().createElementNS('http://www.w3.org/2000/svg', 'text');
+    text.setAttribute('style', 'font-size: 10px');
+    text.textContent = 'WW';
+    const box = text.getBBox();
+    assert.ok(Math.abs(box.width - 18.88) < 1e-9);
+    assert.ok(box.height > 10);
+});
+
+test('the serializer escapes text and attribute values', () => {
+    const document = new VirtualSvgDocument();
+    const element = document.createElementNS('http://www.w3.org/2000/svg', 'text');
+    element.setAttribute('data-x', 'a"b');
+    element.textContent = '<&>';
+    assert.equal(new VirtualSvgSerializer().serializeToString(element),
+        '<text data-x="a&quot;b" xmlns="http://www.w3.org/2000/svg">&lt;&amp;&gt;</text>');
+});
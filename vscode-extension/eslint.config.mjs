@@ -34,6 +34,13 @@ export default tseslint.config(
 					'format': ['camelCase', 'PascalCase']
 				}
 			],
+			// The library is plain JavaScript shared with the webviews, so the extension host requires it
+			'@typescript-eslint/no-require-imports': [
+				'error',
+				{
+					'allow': ['/webview/local-sequence-diagrams\\.js$']
+				}
+			],
 			'@typescript-eslint/no-unused-vars': [
 				'error',
 				{
@@ -41,5 +48,14 @@ export default tseslint.config(
 				}
 			]
 		}
+	},
+	{
+		// The library also runs in Node.js, where it exports itself through "module"
+		files: ['src/webview/local-sequence-diagrams.js'],
+		languageOptions: {
+			globals: {
+				'module': 'readonly'
+			}
+		}
 	}
 );
\ No newline at end of file
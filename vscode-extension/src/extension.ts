@@ -3,6 +3,9 @@
 
 import * as vscode from 'vscode';
 
+// The library the webviews render with also runs in the extension host, where it falls back to its virtual SVG document
+const LocalSequenceDiagrams = require('../src/webview/local-sequence-diagrams.js');
+
 export function activate(context: vscode.ExtensionContext) {
 
     // Stand-alone sequence diagram editor page
@@ -30,6 +33,14 @@ export function activate(context: vscode.ExtensionContext) {
         })
     );
 
+    // "Format Document" rewrites .sd files with the canonical formatter of the library
+    context.subscriptions.push(
+        vscode.languages.registerDocumentFormattingEditProvider(
+            [{ language: 'sd' }, { pattern: '**/*.sd' }],
+            new SdFormattingProvider()
+        )
+    );
+
     // Watch for theme changes to update diagram rendering accordingly
 
     let currentTheme = vscode.workspace.getConfiguration('workbench').get('colorTheme');
@@ -95,7 +106,7 @@ function getWebviewContent(context: vscode.ExtensionContext, webview: vscode.Web
             console.log("HERE EXT");
             const target = document.getElementById("diagramTarget");
             const editor = document.getElementById('scriptContent');
-            const seqDiagram = new LocalSequenceDiagrams("#fff","#000");
+            const seqDiagram = new LocalSequenceDiagrams(null, null, "#fff", "#000");
             const svg = seqDiagram.scriptToSvgImage(editor.value);
             target.appendChild(svg);
             editor.style.display = "none";
@@ -104,10 +115,26 @@ function getWebviewContent(context: vscode.ExtensionContext, webview: vscode.Web
     </html>`;
 }
 
+interface EmbeddedScript {
+    startLine: number;
+    script: string;
+}
+
+interface ScriptDiagnostic {
+    line: number;
+    column: number;
+    severity: 'error' | 'warning';
+    message: string;
+    fix?: string;
+}
+
 class SdEditorProvider implements vscode.CustomTextEditorProvider {
 	private _view?: vscode.WebviewPanel;
+    private readonly diagnostics = vscode.languages.createDiagnosticCollection('sequenceDiagram');
 
-    constructor(private readonly context: vscode.ExtensionContext) {}
+    constructor(private readonly context: vscode.ExtensionContext) {
+        context.subscriptions.push(this.diagnostics);
+    }
 
 	public themeChanged() {
 		if (this._view) {
@@ -144,6 +171,7 @@ class SdEditorProvider implements vscode.CustomTextEditorProvider {
 
         webviewPanel.onDidDispose(() => {
             changeDocumentSubscription.dispose();
+            this.diagnostics.delete(document.uri);
         });
 
         webviewPanel.webview.onDidReceiveMessage(
@@ -152,6 +180,9 @@ class SdEditorProvider implements vscode.CustomTextEditorProvider {
                     case 'edit':
                         this.updateTextDocument(document, message.text);
                         return;
+                    case 'diagnostics':
+                        this.updateDiagnostics(document, message.diagnostics);
+                        return;
                 }
             },
             undefined,
@@ -195,6 +226,19 @@ class SdEditorProvider implements vscode.CustomTextEditorProvider {
         </html>`;
     }
 
+    private updateDiagnostics(document: vscode.TextDocument, problems: ScriptDiagnostic[]): void {
+        // The parser reports 1-based lines and columns, the problem spans the rest of the line
+        this.diagnostics.set(document.uri, problems.map(problem => {
+            const line = Math.min(problem.line - 1, document.lineCount - 1);
+            const range = new vscode.Range(line, problem.column - 1, line, document.lineAt(line).text.length);
+            const message = problem.fix ? `${problem.message} (${problem.fix})` : problem.message;
+            const severity = problem.severity === 'error' ? vscode.DiagnosticSeverity.Error : vscode.DiagnosticSeverity.Warning;
+            const diagnostic = new vscode.Diagnostic(range, message, severity);
+            diagnostic.source = 'Sequence Diagram';
+            return diagnostic;
+        }));
+    }
+
     private updateTextDocument(document: vscode.TextDocument, content: string): void {
         const edit = new vscode.WorkspaceEdit();
         edit.replace(
@@ -206,32 +250,34 @@ class SdEditorProvider implements vscode.CustomTextEditorProvider {
     }
 }
 
+class SdFormattingProvider implements vscode.DocumentFormattingEditProvider {
+    provideDocumentFormattingEdits(document: vscode.TextDocument): vscode.TextEdit[] {
+        // A script with errors comes back unchanged and gets no edit
+        const text = document.getText();
+        const formatted: string = new LocalSequenceDiagrams().formatScript(text);
+        if (formatted === text) {
+            return [];
+        }
+        return [vscode.TextEdit.replace(new vscode.Range(document.positionAt(0), document.positionAt(text.length)), formatted)];
+    }
+}
+
 export class DiagramCodeLensProvider implements vscode.CodeLensProvider {
     private _onDidChangeCodeLenses: vscode.EventEmitter<void> = new vscode.EventEmitter<void>();
     public readonly onDidChangeCodeLenses: vscode.Event<void> = this._onDidChangeCodeLenses.event;
 
     provideCodeLenses(document: vscode.TextDocument): vscode.CodeLens[] {
-        const codeLenses: vscode.CodeLens[] = [];
-        const text = document.getText();
-        const regex = /<diagram>([\s\S]*?)<\/diagram>/g;
-        let match;
+        // The library finds the scripts in comments and Markdown blocks, without their comment markers and generated ASCII art
+        const blocks: EmbeddedScript[] = new LocalSequenceDiagrams().extractEmbeddedScripts(document.getText());
 
-        while ((match = regex.exec(text)) !== null) {
-            const position = document.positionAt(match.index);
-            const range = new vscode.Range(position, position);
-
-            // since this will show up in comments, remove leading whitespace and forward slashes from each line of the diagram
-            const diagramText = match[1].trim();
-            const diagramTextLines = diagramText.split('\n').map(line => line.replace(/^[\s/]*/, ''));
-
-            codeLenses.push(new vscode.CodeLens(range, {
+        return blocks.map(block => {
+            const position = new vscode.Position(block.startLine, 0);
+            return new vscode.CodeLens(new vscode.Range(position, position), {
                 title: "🔍 View Diagram",
                 command: 'extension.viewDiagram',
-                arguments: [diagramTextLines.join('\n')]
-            }));
-        }
-
-        return codeLenses;
+                arguments: [block.script.trim()]
+            });
+        });
     }
 }
 
@@ -302,7 +348,7 @@ export class DiagramInsetProvider {
             <script nonce="${nonce}" src="${scriptSeqDiagramUri}"></script>
             
             <script nonce="${nonce}">
-                const seqDiagram = new LocalSequenceDiagrams("#fff","#000");
+                const seqDiagram = new LocalSequenceDiagrams(null, null, "#fff", "#000");
                 const svg = diagram.scriptToSvgText('${diagramText}');
                 document.getElementById('diagramTarget').innerHTML = svg;
             </script>
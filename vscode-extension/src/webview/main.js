@@ -32,7 +32,10 @@ window.addEventListener('message', event => {
 function getSequenceDiagrams() {
     const el = document.getElementsByClassName("monaco-workbench")[0] || document.body;
     const c = getComputedStyle(el);
-    return new LocalSequenceDiagrams(c.color, c.backgroundColor);
+    // VS Code marks the kind of color theme on the body of the webview
+    const kind = document.body.classList;
+    const theme = kind.contains('vscode-high-contrast') ? 'high-contrast' : (kind.contains('vscode-dark') ? 'dark' : 'light');
+    return new LocalSequenceDiagrams(null, null, c.color, c.backgroundColor, theme);
 }
 
 let seqDiagram = getSequenceDiagrams();
@@ -40,6 +43,12 @@ let seqDiagram = getSequenceDiagrams();
 function updateDiagram() {
     diagram.innerHTML = "";  // clear the existing image (if present)
     diagram.appendChild(seqDiagram.scriptToSvgImage(editor.value));
+
+    // Problems are shown in the Problems panel by the extension
+    vscode.postMessage({
+        command: 'diagnostics',
+        diagnostics: seqDiagram.getDiagnostics(editor.value)
+    });
 }
 
 editor.oninput = updateDiagram;